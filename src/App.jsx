@@ -1,66 +1,124 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { Button } from './components/ui/Button';
-import { Upload, Download, FileText, Folder, FolderOpen, File, X, Plus, Trash2 } from 'lucide-react';
+import { Upload, Download, FileText, Folder, FolderOpen, File, X, Plus, Trash2, FileArchive, FileImage, FolderInput, AlertTriangle } from 'lucide-react';
+import LayoutOptions from './components/LayoutOptions';
+import BatchQueue from './components/BatchQueue';
+import CompressionOptions from './components/CompressionOptions';
+import ExportProgress from './components/ExportProgress';
+import FolderImportOptions from './components/FolderImportOptions';
+import InputOptions from './components/InputOptions';
+import InputWarnings from './components/InputWarnings';
+import RenameReport from './components/RenameReport';
+import VirtualList from './components/VirtualList';
+import { useConversionWorker } from './hooks/useConversionWorker';
+import { ARCHIVE_FORMATS, DEFAULT_ARCHIVE_FORMAT } from './utils/archiveWriters';
+import { DEFAULT_COMPRESSION_OPTIONS } from './utils/compression';
+import { chooseSaveFile, downloadBlob } from './utils/converters';
+import { DEFAULT_LAYOUT_OPTIONS } from './utils/fileLayout';
+import { chooseDirectory, DEFAULT_FOLDER_CONFLICT_POLICY, FOLDER_CONFLICT_POLICIES, isFolderExportSupported } from './utils/folderExport';
+import { DEFAULT_FOLDER_IMPORT_OPTIONS, isFolderDropSupported, listFilesFromHandle, listFilesFromInput } from './utils/folderImport';
+import { formatFileSize } from './utils/formatters';
+import { DEFAULT_MULTI_FILE_MODE, filterInputFiles, MULTI_FILE_MODES } from './utils/inputFiles';
+import { DEFAULT_INPUT_OPTIONS, INPUT_FILE_ACCEPT } from './utils/inputFormats';
+import { collectFolderPaths, flattenVisibleNodes } from './utils/treeUtils';
+
+const PREVIEW_DEBOUNCE_MS = 300;
+// Files above this size are parsed in chunks instead of being loaded into the editor
+const INLINE_FILE_LIMIT = 5 * 1024 * 1024;
+// Where the textarea text came from: the file it was read from, or the format
+// it must be read as when it was generated here, e.g. JSON from a ZIP import
+const EMPTY_TEXT_SOURCE = { filename: '', format: '' };
+const TREE_ROW_HEIGHT = 28;
 
 function App() {
   const [jsonInput, setJsonInput] = useState('');
+  const [sourceFile, setSourceFile] = useState(null);
+  const [textSource, setTextSource] = useState(EMPTY_TEXT_SOURCE);
+  const [inputOptions, setInputOptions] = useState(DEFAULT_INPUT_OPTIONS);
+  const [layoutOptions, setLayoutOptions] = useState(DEFAULT_LAYOUT_OPTIONS);
+  const [compression, setCompression] = useState(DEFAULT_COMPRESSION_OPTIONS);
+  const [archiveFormat, setArchiveFormat] = useState(DEFAULT_ARCHIVE_FORMAT);
+  const [folderPolicy, setFolderPolicy] = useState(DEFAULT_FOLDER_CONFLICT_POLICY);
+  const [exportNotice, setExportNotice] = useState('');
+  const [folderImportOptions, setFolderImportOptions] = useState(DEFAULT_FOLDER_IMPORT_OPTIONS);
+  const [skippedFiles, setSkippedFiles] = useState([]);
+  const [multiFileMode, setMultiFileMode] = useState(DEFAULT_MULTI_FILE_MODE);
+  const [isDragging, setIsDragging] = useState(false);
+  const [estimate, setEstimate] = useState(null);
   const [fileStructure, setFileStructure] = useState(null);
+  const [renames, setRenames] = useState([]);
+  const [inputWarnings, setInputWarnings] = useState([]);
   const [error, setError] = useState('');
-  const [isProcessing, setIsProcessing] = useState(false);
   const [expandedFolders, setExpandedFolders] = useState(new Set());
+  const { run: runPreview, cancel: cancelPreview, progress: previewProgress, isRunning: isPreviewing } = useConversionWorker();
+  const source = sourceFile || jsonInput;
+  const { run: runExport, cancel: cancelExport, progress: exportProgress, startedAt: exportStartedAt, isRunning: isProcessing } = useConversionWorker();
 
-  const parseJsonToFileStructure = useCallback((jsonData) => {
-    try {
-      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-      
-      const createFileStructure = (obj, path = '') => {
-        const structure = {};
-        
-        for (const [key, value] of Object.entries(obj)) {
-          const currentPath = path ? `${path}/${key}` : key;
-          
-          if (value && typeof value === 'object' && !Array.isArray(value)) {
-            structure[key] = {
-              type: 'folder',
-              path: currentPath,
-              children: createFileStructure(value, currentPath)
-            };
-          } else {
-            const content = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
-            const extension = key.includes('.') ? '' : '.json';
-            structure[key + extension] = {
-              type: 'file',
-              path: currentPath + extension,
-              content: content
-            };
-          }
-        }
-        
-        return structure;
-      };
-      
-      return createFileStructure(data);
-    } catch (err) {
-      throw new Error('Invalid JSON format');
+  const conversionOptions = useMemo(() => (
+    { ...layoutOptions, compression, format: archiveFormat, input: inputOptions }
+  ), [layoutOptions, compression, archiveFormat, inputOptions]);
+  // Options for reading `source`, which may be text generated as JSON
+  const sourceOptions = useMemo(() => (
+    {
+      ...conversionOptions,
+      input: {
+        ...inputOptions,
+        filename: textSource.filename,
+        format: textSource.format || inputOptions.format
+      }
     }
-  }, []);
+  ), [conversionOptions, inputOptions, textSource]);
+  const format = ARCHIVE_FORMATS[archiveFormat];
 
-  const handleJsonInput = useCallback((value) => {
-    setJsonInput(value);
-    setError('');
-    
-    if (value.trim()) {
+  useEffect(() => {
+    if (!sourceFile && !jsonInput.trim()) {
+      cancelPreview();
+      setFileStructure(null);
+      setRenames([]);
+      setInputWarnings([]);
+      setEstimate(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
       try {
-        const structure = parseJsonToFileStructure(value);
-        setFileStructure(structure);
+        const result = await runPreview('preview', { source: sourceFile || jsonInput, options: sourceOptions });
+        setFileStructure(result.tree);
+        setRenames(result.renames);
+        setInputWarnings(result.warnings);
+        setEstimate({ totalSize: result.totalSize, estimatedSize: result.estimatedSize });
+        setError('');
       } catch (err) {
+        if (err.name === 'AbortError') return;
         setError(err.message);
         setFileStructure(null);
+        setRenames([]);
+        setInputWarnings([]);
+        setEstimate(null);
       }
-    } else {
-      setFileStructure(null);
-    }
-  }, [parseJsonToFileStructure]);
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [jsonInput, sourceFile, sourceOptions, runPreview, cancelPreview]);
+
+  // Edits keep the origin of the text, so an edited CSV file is still read as CSV
+  const handleJsonInput = useCallback((value) => {
+    setJsonInput(value);
+    setSourceFile(null);
+    if (!value) setTextSource(EMPTY_TEXT_SOURCE);
+    setError('');
+  }, []);
+
+  const loadText = useCallback((text, origin) => {
+    setJsonInput(text);
+    setTextSource({ ...EMPTY_TEXT_SOURCE, ...origin });
+    setSourceFile(null);
+    setError('');
+  }, []);
+
+  const handleLayoutChange = useCallback((options) => {
+    setLayoutOptions(options);
+  }, []);
 
   const toggleFolder = useCallback((path) => {
     setExpandedFolders(prev => {
@@ -76,98 +134,259 @@ function App() {
 
   const generateZip = useCallback(async () => {
     if (!fileStructure) return;
-    
-    setIsProcessing(true);
-    
+
+    let fileHandle = null;
     try {
-      const JSZip = (await import('jszip')).default;
-      const zip = new JSZip();
-      
-      const addToZip = (structure, currentZip = zip) => {
-        for (const [name, item] of Object.entries(structure)) {
-          if (item.type === 'folder') {
-            const folder = currentZip.folder(name);
-            addToZip(item.children, folder);
-          } else {
-            currentZip.file(name, item.content);
-          }
-        }
-      };
-      
-      addToZip(fileStructure);
-      
-      const content = await zip.generateAsync({ type: 'blob' });
-      const url = URL.createObjectURL(content);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'converted-files.zip';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      // Stream straight to disk where the browser allows it, otherwise download a Blob
+      fileHandle = await chooseSaveFile(`converted-files${format.extension}`, format);
+      if (fileHandle) {
+        await runExport('archive', { source, options: sourceOptions, fileHandle });
+      } else {
+        const content = await runExport('archive', { source, options: sourceOptions });
+        downloadBlob(content, `converted-files${format.extension}`);
+      }
     } catch (err) {
-      setError('Failed to generate ZIP file');
-    } finally {
-      setIsProcessing(false);
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Failed to generate ZIP file');
+      }
+      // Don't leave an empty or partial archive behind
+      if (fileHandle && typeof fileHandle.remove === 'function') {
+        await fileHandle.remove().catch(() => {});
+      }
     }
-  }, [fileStructure]);
+  }, [fileStructure, source, sourceOptions, format, runExport]);
 
-  const renderFileTree = useCallback((structure, level = 0) => {
-    return Object.entries(structure).map(([name, item]) => {
-      const isExpanded = expandedFolders.has(item.path);
-      const indent = level * 20;
-      
-      if (item.type === 'folder') {
-        return (
-          <div key={item.path} className="select-none">
-            <div
-              className="flex items-center py-1 px-2 hover:bg-gray-100 cursor-pointer rounded"
-              style={{ paddingLeft: `${8 + indent}px` }}
-              onClick={() => toggleFolder(item.path)}
-            >
-              {isExpanded ? (
-                <FolderOpen className="w-4 h-4 text-blue-500 mr-2" />
-              ) : (
-                <Folder className="w-4 h-4 text-blue-500 mr-2" />
-              )}
-              <span className="text-sm font-medium text-gray-700">{name}</span>
-            </div>
-            {isExpanded && (
-              <div className="ml-2">
-                {renderFileTree(item.children, level + 1)}
-              </div>
-            )}
-          </div>
-        );
-      } else {
-        return (
-          <div
-            key={item.path}
-            className="flex items-center py-1 px-2 hover:bg-gray-50 rounded"
-            style={{ paddingLeft: `${8 + indent}px` }}
-          >
-            <File className="w-4 h-4 text-gray-500 mr-2" />
-            <span className="text-sm text-gray-600">{name}</span>
-          </div>
-        );
+  const exportFolder = useCallback(async () => {
+    if (!fileStructure) return;
+    setExportNotice('');
+
+    try {
+      if (!isFolderExportSupported()) {
+        const content = await runExport('archive', { source, options: { ...sourceOptions, format: 'zip' } });
+        downloadBlob(content, 'converted-files.zip');
+        setExportNotice('This browser cannot write to folders, so a ZIP file was downloaded instead.');
+        return;
       }
-    });
+
+      const directoryHandle = await chooseDirectory();
+      const { written, replaced, skipped, replacedFolders } = await runExport('folder', {
+        source,
+        options: sourceOptions,
+        directoryHandle,
+        policy: folderPolicy
+      });
+      const folderNote = replacedFolders.length > 0
+        ? ` ${replacedFolders.length} ${replacedFolders.length === 1 ? 'file was' : 'files were'} replaced by a folder.`
+        : '';
+      setExportNotice(
+        `Exported to ${directoryHandle.name}: ${written.length} written, ${replaced.length} replaced, ${skipped.length} skipped files.${folderNote}`
+      );
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Failed to export to folder');
+      }
+    }
+  }, [fileStructure, source, sourceOptions, folderPolicy, runExport]);
+
+  const treeRows = useMemo(() => (
+    fileStructure ? flattenVisibleNodes(fileStructure, expandedFolders) : []
+  ), [fileStructure, expandedFolders]);
+
+  const expandAll = useCallback(() => {
+    if (fileStructure) setExpandedFolders(collectFolderPaths(fileStructure));
+  }, [fileStructure]);
+
+  const collapseAll = useCallback(() => {
+    setExpandedFolders(new Set());
+  }, []);
+
+  const renderTreeRow = useCallback(({ node: item, depth }) => {
+    const isExpanded = expandedFolders.has(item.path);
+    const indent = depth * 28;
+
+    if (item.type === 'folder') {
+      return (
+        <div
+          className="flex items-center h-full px-2 hover:bg-gray-100 cursor-pointer rounded select-none"
+          style={{ paddingLeft: `${8 + indent}px` }}
+          onClick={() => toggleFolder(item.path)}
+        >
+          {isExpanded ? (
+            <FolderOpen className="w-4 h-4 text-blue-500 mr-2" />
+          ) : (
+            <Folder className="w-4 h-4 text-blue-500 mr-2" />
+          )}
+          <span className="text-sm font-medium text-gray-700 truncate">{item.name}</span>
+        </div>
+      );
+    }
+
+    return (
+      <div
+        className="flex items-center h-full px-2 hover:bg-gray-50 rounded"
+        style={{ paddingLeft: `${8 + indent}px` }}
+      >
+        {item.binary ? (
+          <FileImage className="w-4 h-4 text-purple-500 mr-2" />
+        ) : (
+          <File className="w-4 h-4 text-gray-500 mr-2" />
+        )}
+        <span className="text-sm text-gray-600 truncate">{item.name}</span>
+        <span className="ml-auto text-xs text-gray-400 flex-shrink-0">
+          {item.binary && 'binary · '}
+          {formatFileSize(item.size)}
+        </span>
+      </div>
+    );
   }, [expandedFolders, toggleFolder]);
 
+  const loadJsonFile = useCallback((file) => {
+    if (file.size > INLINE_FILE_LIMIT) {
+      setSourceFile(file);
+      setJsonInput('');
+      setTextSource(EMPTY_TEXT_SOURCE);
+      setError('');
+      return;
+    }
+    // The file name is kept so the format can still be detected from its extension
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      loadText(e.target.result, { filename: file.name });
+    };
+    reader.readAsText(file);
+  }, [loadText]);
+
+  // A single file is loaded as is, several are combined with the chosen mode
+  const loadFiles = useCallback(async (files) => {
+    try {
+      const jsonFiles = await filterInputFiles(files);
+      if (jsonFiles.length === 0) {
+        if (files.length > 0) setError('No supported files found');
+        return;
+      }
+      if (jsonFiles.length === 1) {
+        loadJsonFile(jsonFiles[0]);
+        return;
+      }
+
+      setError('');
+      const json = await runExport('combine', { sources: jsonFiles, mode: multiFileMode, options: conversionOptions });
+      loadText(json, { format: 'json' });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    }
+  }, [loadJsonFile, loadText, multiFileMode, conversionOptions, runExport]);
+
   const handleFileUpload = useCallback((event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    loadFiles(files);
+  }, [loadFiles]);
+
+  const handleZipImport = useCallback(async (event) => {
     const file = event.target.files[0];
-    if (file && file.type === 'application/json') {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        handleJsonInput(e.target.result);
-      };
-      reader.readAsText(file);
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+
+    try {
+      loadText(await runExport('import', { source: file, options: layoutOptions }), { format: 'json' });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    }
+  }, [loadText, layoutOptions, runExport]);
+
+  const importFolder = useCallback(async (entries) => {
+    setError('');
+    setSkippedFiles([]);
+
+    try {
+      const { json, skipped } = await runExport('folderImport', {
+        entries,
+        options: { ...layoutOptions, ...folderImportOptions }
+      });
+      loadText(json, { format: 'json' });
+      setSkippedFiles(skipped);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    }
+  }, [loadText, layoutOptions, folderImportOptions, runExport]);
+
+  const handleFolderInput = useCallback((event) => {
+    const entries = listFilesFromInput(event.target.files);
+    event.target.value = '';
+    if (entries.length > 0) importFolder(entries);
+  }, [importFolder]);
+
+  const handleDragOver = useCallback((event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  }, []);
+
+  const handleDragLeave = useCallback((event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  }, []);
+
+  const handleDrop = useCallback(async (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (isProcessing) return;
+
+    if (!isFolderDropSupported()) {
+      loadFiles(Array.from(event.dataTransfer.files));
+      return;
+    }
+
+    // Handles must be requested before the drop event returns
+    const pending = Array.from(event.dataTransfer.items)
+      .filter(({ kind }) => kind === 'file')
+      .map(item => item.getAsFileSystemHandle());
+
+    try {
+      const handles = (await Promise.all(pending)).filter(Boolean);
+
+      if (handles.some(({ kind }) => kind === 'directory')) {
+        if (handles.length > 1) {
+          setError('Drop a single folder, or files without folders');
+          return;
+        }
+        await importFolder(await listFilesFromHandle(handles[0], folderImportOptions));
+        return;
+      }
+
+      await loadFiles(await Promise.all(handles.map(handle => handle.getFile())));
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
     }
-  }, [handleJsonInput]);
+  }, [isProcessing, loadFiles, importFolder, folderImportOptions]);
+
+  const handlePaste = useCallback((event) => {
+    const files = Array.from(event.clipboardData.files);
+    if (files.length > 0) {
+      event.preventDefault();
+      loadFiles(files);
+    }
+  }, [loadFiles]);
 
   const clearAll = useCallback(() => {
     setJsonInput('');
+    setTextSource(EMPTY_TEXT_SOURCE);
+    setExportNotice('');
+    setSkippedFiles([]);
+    setSourceFile(null);
     setFileStructure(null);
+    setRenames([]);
     setError('');
     setExpandedFolders(new Set());
   }, []);
@@ -193,7 +412,8 @@ function App() {
                     <label className="cursor-pointer">
                       <input
                         type="file"
-                        accept=".json"
+                        accept={INPUT_FILE_ACCEPT}
+                        multiple
                         onChange={handleFileUpload}
                         className="hidden"
                       />
@@ -202,7 +422,38 @@ function App() {
                         Upload JSON
                       </Button>
                     </label>
-                    {jsonInput && (
+                    <label className="cursor-pointer">
+                      <input
+                        type="file"
+                        accept=".zip,application/zip"
+                        onChange={handleZipImport}
+                        disabled={isProcessing}
+                        className="hidden"
+                      />
+                      <Button variant="outline" size="sm" asChild>
+                        <span>
+                          <FileArchive className="w-4 h-4 mr-2" />
+                          Import ZIP
+                        </span>
+                      </Button>
+                    </label>
+                    <label className="cursor-pointer">
+                      <input
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        onChange={handleFolderInput}
+                        disabled={isProcessing}
+                        className="hidden"
+                      />
+                      <Button variant="outline" size="sm" asChild>
+                        <span>
+                          <FolderInput className="w-4 h-4 mr-2" />
+                          Import folder
+                        </span>
+                      </Button>
+                    </label>
+                    {source && (
                       <Button variant="outline" size="sm" onClick={clearAll}>
                         <X className="w-4 h-4 mr-2" />
                         Clear
@@ -211,12 +462,93 @@ function App() {
                   </div>
                 </div>
                 
-                <textarea
-                  value={jsonInput}
-                  onChange={(e) => handleJsonInput(e.target.value)}
-                  placeholder="Paste your JSON here or upload a JSON file..."
-                  className="w-full h-96 p-4 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+                <InputOptions
+                  options={inputOptions}
+                  onChange={setInputOptions}
+                  disabled={isProcessing}
+                />
+
+                <LayoutOptions
+                  options={layoutOptions}
+                  onChange={handleLayoutChange}
+                  disabled={isProcessing}
                 />
+
+                <CompressionOptions
+                  options={compression}
+                  onChange={setCompression}
+                  format={archiveFormat}
+                  onFormatChange={setArchiveFormat}
+                  estimate={estimate}
+                  disabled={isProcessing}
+                />
+
+                <FolderImportOptions
+                  options={folderImportOptions}
+                  onChange={setFolderImportOptions}
+                  disabled={isProcessing}
+                />
+                
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  Multiple files
+                  <select
+                    value={multiFileMode}
+                    onChange={(e) => setMultiFileMode(e.target.value)}
+                    disabled={isProcessing}
+                    title={MULTI_FILE_MODES[multiFileMode].description}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.values(MULTI_FILE_MODES).map(({ name, label }) => (
+                      <option key={name} value={name}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <div
+                  className="relative"
+                  onDragOver={handleDragOver}
+                  onDragLeave={handleDragLeave}
+                  onDrop={handleDrop}
+                  onPaste={handlePaste}
+                >
+                  {isDragging && (
+                    <div className="absolute inset-0 z-10 flex flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed border-blue-500 bg-blue-50/90 text-blue-700 pointer-events-none">
+                      <Upload className="w-8 h-8" />
+                      <p className="text-sm font-medium">Drop JSON files or a folder</p>
+                    </div>
+                  )}
+                  {sourceFile ? (
+                    <div className="w-full h-96 p-4 border border-gray-300 rounded-lg bg-gray-50 flex flex-col items-center justify-center text-center gap-3">
+                      <FileText className="w-10 h-10 text-gray-400" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-800">{sourceFile.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {formatFileSize(sourceFile.size)} · too large to edit here, the file is parsed in chunks
+                        </p>
+                      </div>
+                      {isPreviewing && previewProgress && previewProgress.total > 0 && (
+                        <div className="w-full max-w-xs">
+                          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                            <div
+                              className="h-full bg-blue-600 transition-all"
+                              style={{ width: `${previewProgress.percent}%` }}
+                            />
+                          </div>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Read {formatFileSize(previewProgress.loaded)} of {formatFileSize(previewProgress.total)}
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <textarea
+                      value={jsonInput}
+                      onChange={(e) => handleJsonInput(e.target.value)}
+                      placeholder="Paste JSON, YAML or files here, or drop files or a folder..."
+                      className="w-full h-96 p-4 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+                    />
+                  )}
+                </div>
                 
                 {error && (
                   <div className="bg-red-50 border border-red-200 rounded-lg p-3">
@@ -224,8 +556,27 @@ function App() {
                   </div>
                 )}
                 
+                {skippedFiles.length > 0 && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                    <p className="flex items-center gap-2 text-yellow-800 text-sm font-medium">
+                      <AlertTriangle className="w-4 h-4" />
+                      {skippedFiles.length} {skippedFiles.length === 1 ? 'file was' : 'files were'} left out of the folder import
+                    </p>
+                    <ul className="mt-2 max-h-32 overflow-y-auto space-y-1 text-xs font-mono text-yellow-900">
+                      {skippedFiles.map(({ path, reason }) => (
+                        <li key={path}>
+                          {path} <span className="text-yellow-700">({reason})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <InputWarnings warnings={inputWarnings} />
+                <RenameReport renames={renames} />
+                
                 {fileStructure && (
-                  <div className="flex justify-center">
+                  <div className="flex flex-wrap items-center justify-center gap-2">
                     <Button 
                       onClick={generateZip}
                       disabled={isProcessing}
@@ -239,22 +590,82 @@ function App() {
                       ) : (
                         <>
                           <Download className="w-4 h-4 mr-2" />
-                          Download ZIP
+                          Download {format.label}
                         </>
                       )}
                     </Button>
+                    <Button
+                      variant="outline"
+                      onClick={exportFolder}
+                      disabled={isProcessing}
+                      title={isFolderExportSupported() ? undefined : 'Not supported in this browser, downloads a ZIP instead'}
+                    >
+                      <FolderOpen className="w-4 h-4 mr-2" />
+                      Export to folder
+                    </Button>
+                    {isFolderExportSupported() && (
+                      <select
+                        value={folderPolicy}
+                        onChange={(e) => setFolderPolicy(e.target.value)}
+                        disabled={isProcessing}
+                        title={FOLDER_CONFLICT_POLICIES[folderPolicy].description}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {Object.values(FOLDER_CONFLICT_POLICIES).map(({ name, label }) => (
+                          <option key={name} value={name}>Existing files: {label}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                )}
+
+                {exportNotice && (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+                    <p className="text-green-800 text-sm">{exportNotice}</p>
                   </div>
                 )}
+
+                {isProcessing && (
+                  <ExportProgress
+                    progress={exportProgress}
+                    startedAt={exportStartedAt}
+                    onCancel={cancelExport}
+                  />
+                )}
               </div>
               
               <div className="space-y-4">
-                <h2 className="text-lg font-semibold text-gray-800">File Tree Preview</h2>
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-800">File Tree Preview</h2>
+                  <div className="flex items-center gap-2">
+                    {isPreviewing && (
+                      <span className="flex items-center text-xs text-gray-500">
+                        <div className="w-3 h-3 mr-2 border-2 border-gray-400 border-t-transparent rounded-full animate-spin" />
+                        Building preview...
+                      </span>
+                    )}
+                    {fileStructure && (
+                      <>
+                        <Button variant="outline" size="sm" onClick={expandAll}>
+                          Expand All
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={collapseAll}>
+                          Collapse All
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
                 
-                <div className="border border-gray-300 rounded-lg h-96 overflow-auto bg-gray-50">
+                <div className="border border-gray-300 rounded-lg h-96 overflow-hidden bg-gray-50">
                   {fileStructure ? (
-                    <div className="p-2">
-                      {renderFileTree(fileStructure)}
-                    </div>
+                    <VirtualList
+                      items={treeRows}
+                      rowHeight={TREE_ROW_HEIGHT}
+                      getKey={({ node }) => node.path}
+                      renderRow={renderTreeRow}
+                      className="h-full p-2"
+                    />
                   ) : (
                     <div className="flex items-center justify-center h-full text-gray-500">
                       <div className="text-center">
@@ -278,6 +689,8 @@ function App() {
             </div>
           </div>
         </div>
+
+        <BatchQueue options={conversionOptions} />
         
         <div className="mt-6 bg-white rounded-lg shadow p-6">
           <h3 className="text-lg font-semibold text-gray-800 mb-3">How to use:</h3>
@@ -288,7 +701,7 @@ function App() {
               </div>
               <div>
                 <h4 className="font-medium text-gray-800">1. Input JSON</h4>
-                <p>Paste your JSON data or upload a JSON file</p>
+                <p>Paste your JSON data, upload a JSON file, or import an existing ZIP or folder</p>
               </div>
             </div>
             <div className="flex items-start gap-3">
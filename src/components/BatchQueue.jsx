@@ -0,0 +1,205 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { CircleCheck, CircleX, Clock, Download, Layers, ListPlus, LoaderCircle, RotateCcw, Square, X } from 'lucide-react';
+import { Button } from './ui/Button';
+import { BATCH_STATUSES, useBatchQueue } from '../hooks/useBatchQueue';
+import { useConversionWorker } from '../hooks/useConversionWorker';
+import { ARCHIVE_FORMATS, DEFAULT_ARCHIVE_FORMAT } from '../utils/archiveWriters';
+import { downloadBlob } from '../utils/converters';
+import { formatFileSize } from '../utils/formatters';
+import { filterInputFiles, getDocumentName } from '../utils/inputFiles';
+import { INPUT_FILE_ACCEPT } from '../utils/inputFormats';
+
+const STATUS_ICONS = {
+  pending: <Clock className="w-4 h-4 text-gray-400" />,
+  converting: <LoaderCircle className="w-4 h-4 text-blue-600 animate-spin" />,
+  done: <CircleCheck className="w-4 h-4 text-green-600" />,
+  failed: <CircleX className="w-4 h-4 text-red-600" />
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  converting: 'Converting',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+/**
+ * Queue for converting many JSON files with the current settings. Each file
+ * gets its own archive; the finished ones can also be downloaded as a single
+ * archive with one top-level folder per file, laid out with the settings each
+ * file was converted with.
+ */
+const BatchQueue = ({ options }) => {
+  const { items, addFiles, removeItem, clearFinished, start, stop, retryFailed, readArchive, progress, isRunning } = useBatchQueue(options);
+  const { run: runCombined, isRunning: isCombining } = useConversionWorker();
+  const [error, setError] = useState('');
+
+  const doneItems = items.filter(({ status }) => status === BATCH_STATUSES.done);
+  const failedCount = items.filter(({ status }) => status === BATCH_STATUSES.failed).length;
+  const pendingCount = items.filter(({ status }) => status === BATCH_STATUSES.pending).length;
+  // The combined archive keeps the format the files share, and is a ZIP otherwise
+  const doneFormats = new Set(doneItems.map(item => item.options.format || DEFAULT_ARCHIVE_FORMAT));
+  const format = ARCHIVE_FORMATS[doneFormats.size === 1 ? [...doneFormats][0] : DEFAULT_ARCHIVE_FORMAT];
+
+  const handleFiles = async (files) => {
+    try {
+      const inputFiles = await filterInputFiles(files);
+      const unsupported = files.length - inputFiles.length;
+      setError(unsupported > 0 ? `${unsupported} unsupported ${unsupported === 1 ? 'file was' : 'files were'} not added` : '');
+      addFiles(inputFiles);
+    } catch (err) {
+      setError(err.message || 'Failed to add the files');
+    }
+  };
+
+  const handleInput = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    handleFiles(files);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    handleFiles(Array.from(event.dataTransfer.files));
+  };
+
+  const downloadItem = async (item) => {
+    const { extension } = ARCHIVE_FORMATS[item.options.format || DEFAULT_ARCHIVE_FORMAT];
+    try {
+      downloadBlob(await readArchive(item), `${getDocumentName(item.file.name)}${extension}`);
+    } catch (err) {
+      setError(err.message || 'Failed to read the archive');
+    }
+  };
+
+  const downloadCombined = async () => {
+    setError('');
+    try {
+      const blob = await runCombined('batchArchive', {
+        items: doneItems.map(item => ({ source: item.file, options: item.options })),
+        format: format.name
+      });
+      downloadBlob(blob, `converted-files${format.extension}`);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Failed to create the combined archive');
+      }
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow p-6 space-y-4" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-gray-800">Batch conversion</h3>
+        <div className="flex flex-wrap gap-2">
+          <label className="cursor-pointer">
+            <input
+              type="file"
+              accept={INPUT_FILE_ACCEPT}
+              multiple
+              onChange={handleInput}
+              className="hidden"
+            />
+            <Button variant="outline" size="sm" asChild>
+              <span>
+                <ListPlus className="w-4 h-4 mr-2" />
+                Add files
+              </span>
+            </Button>
+          </label>
+          {isRunning ? (
+            <Button variant="outline" size="sm" onClick={stop}>
+              <Square className="w-4 h-4 mr-2" />
+              Stop
+            </Button>
+          ) : (
+            <Button size="sm" onClick={start} disabled={pendingCount === 0}>
+              Convert {pendingCount > 0 && `(${pendingCount})`}
+            </Button>
+          )}
+          {failedCount > 0 && (
+            <Button variant="outline" size="sm" onClick={retryFailed} disabled={isRunning}>
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Retry failed ({failedCount})
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Add or drop JSON files here to convert each one with the current settings.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-80 overflow-y-auto">
+          {items.map(item => (
+            <li key={item.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+              <span title={STATUS_LABELS[item.status]}>{STATUS_ICONS[item.status]}</span>
+              <div className="flex-1 min-w-0">
+                <p className="truncate text-gray-800">{item.file.name}</p>
+                {item.status === BATCH_STATUSES.failed && (
+                  <p className="text-xs text-red-600 truncate" title={item.error}>{item.error}</p>
+                )}
+                {item.status === BATCH_STATUSES.converting && progress && (
+                  <p className="text-xs text-gray-500">{Math.round(progress.percent || 0)}%</p>
+                )}
+              </div>
+              <span className="text-xs text-gray-400 flex-shrink-0">
+                {formatFileSize(item.archive ? item.size : item.file.size)}
+              </span>
+              {item.status === BATCH_STATUSES.done && (
+                <button
+                  type="button"
+                  onClick={() => downloadItem(item)}
+                  className="text-gray-500 hover:text-blue-700"
+                  title="Download"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+              )}
+              {item.status !== BATCH_STATUSES.converting && (
+                <button
+                  type="button"
+                  onClick={() => removeItem(item.id)}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {doneItems.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => doneItems.forEach(downloadItem)}>
+            <Download className="w-4 h-4 mr-2" />
+            Download each ({doneItems.length})
+          </Button>
+          <Button variant="outline" size="sm" onClick={downloadCombined} disabled={isCombining}>
+            <Layers className="w-4 h-4 mr-2" />
+            {isCombining ? 'Combining...' : `Download combined ${format.label}`}
+          </Button>
+          <Button variant="outline" size="sm" onClick={clearFinished} disabled={isRunning}>
+            Clear done
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+BatchQueue.propTypes = {
+  options: PropTypes.object.isRequired
+};
+
+export default BatchQueue;
@@ -0,0 +1,134 @@
+import PropTypes from 'prop-types';
+import { CSV_DELIMITERS, CSV_HEADER_MODES } from '../utils/csv';
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const ColumnInput = ({ label, value, onChange, placeholder, disabled }) => (
+  <label className="flex items-center gap-2">
+    <span className="w-28">{label}</span>
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      disabled={disabled}
+      className={`${inputClassName} flex-1 min-w-0`}
+    />
+  </label>
+);
+
+ColumnInput.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string,
+  disabled: PropTypes.bool
+};
+
+const CSVOptions = ({ options, onChange, disabled = false, fixedDelimiter = false }) => {
+  const update = (changes) => {
+    onChange({ ...options, ...changes });
+  };
+
+  return (
+    <details className="text-sm text-gray-700">
+      <summary className="cursor-pointer select-none">CSV settings</summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex flex-wrap items-center gap-4">
+          {!fixedDelimiter && (
+            <label className="flex items-center gap-2">
+              Delimiter
+              <select
+                value={options.delimiter}
+                onChange={(e) => update({ delimiter: e.target.value })}
+                disabled={disabled}
+                className={selectClassName}
+              >
+                {Object.values(CSV_DELIMITERS).map(({ name, label }) => (
+                  <option key={name} value={name}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center gap-2">
+            Quote
+            <input
+              type="text"
+              maxLength={1}
+              value={options.quote}
+              onChange={(e) => update({ quote: e.target.value })}
+              placeholder="None"
+              disabled={disabled}
+              className={`${inputClassName} w-12 text-center`}
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Header
+            <select
+              value={options.header}
+              onChange={(e) => update({ header: e.target.value })}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              {Object.values(CSV_HEADER_MODES).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.coerceTypes}
+              onChange={(e) => update({ coerceTypes: e.target.checked })}
+              disabled={disabled}
+            />
+            Numbers, booleans and empty values as types
+          </label>
+        </div>
+        <ColumnInput
+          label="Folder columns"
+          value={options.pathColumns}
+          onChange={(pathColumns) => update({ pathColumns })}
+          placeholder="None, e.g. country, city"
+          disabled={disabled}
+        />
+        <ColumnInput
+          label="Name column"
+          value={options.nameColumn}
+          onChange={(nameColumn) => update({ nameColumn })}
+          placeholder="Row number, e.g. id"
+          disabled={disabled}
+        />
+        <ColumnInput
+          label="Content columns"
+          value={options.contentColumns}
+          onChange={(contentColumns) => update({ contentColumns })}
+          placeholder="All other columns"
+          disabled={disabled}
+        />
+        <p className="text-xs text-gray-500">
+          Columns are named by the header row, or <code>column_1</code>, <code>column_2</code>, … without one.
+          A single content column becomes the file itself; several become a folder with one file per column.
+        </p>
+      </div>
+    </details>
+  );
+};
+
+CSVOptions.propTypes = {
+  options: PropTypes.shape({
+    delimiter: PropTypes.string,
+    quote: PropTypes.string,
+    header: PropTypes.string,
+    coerceTypes: PropTypes.bool,
+    pathColumns: PropTypes.string,
+    nameColumn: PropTypes.string,
+    contentColumns: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  fixedDelimiter: PropTypes.bool
+};
+
+export default CSVOptions;
@@ -0,0 +1,179 @@
+import PropTypes from 'prop-types';
+import { Plus, Trash2 } from 'lucide-react';
+import { Slider } from './ui/slider';
+import { ARCHIVE_FORMATS } from '../utils/archiveWriters';
+import { COMPRESSION_METHODS } from '../utils/compression';
+import { formatFileSize } from '../utils/formatters';
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const LEVELS = Array.from({ length: 10 }, (_, level) => level);
+
+const MethodSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className={selectClassName}
+  >
+    {Object.values(COMPRESSION_METHODS).map(({ name, label }) => (
+      <option key={name} value={name}>{label}</option>
+    ))}
+  </select>
+);
+
+MethodSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+const CompressionOptions = ({ options, onChange, format, onFormatChange, estimate, disabled = false }) => {
+  // Method, level and extension rules only apply to ZIP entries
+  const isZip = format === 'zip';
+
+  const update = (changes) => {
+    onChange({ ...options, ...changes });
+  };
+
+  const updateOverride = (index, changes) => {
+    update({
+      overrides: options.overrides.map((override, position) => (
+        position === index ? { ...override, ...changes } : override
+      ))
+    });
+  };
+
+  const addOverride = () => {
+    update({ overrides: [...options.overrides, { extensions: '', method: 'STORE', level: options.level }] });
+  };
+
+  const removeOverride = (index) => {
+    update({ overrides: options.overrides.filter((_, position) => position !== index) });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Format
+          <select
+            value={format}
+            onChange={(e) => onFormatChange(e.target.value)}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(ARCHIVE_FORMATS).map(({ name, label }) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {isZip && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Compression
+            <MethodSelect
+              value={options.method}
+              onChange={(method) => update({ method })}
+              disabled={disabled}
+            />
+          </label>
+        )}
+        {isZip && options.method === 'DEFLATE' && (
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            Level
+            <Slider
+              value={[options.level]}
+              onValueChange={([level]) => update({ level })}
+              min={0}
+              max={9}
+              step={1}
+              disabled={disabled}
+              className="w-32"
+            />
+            <span className="w-4 font-mono text-gray-600">{options.level}</span>
+          </div>
+        )}
+        {isZip && (
+          <button
+            type="button"
+            onClick={addOverride}
+            disabled={disabled}
+            className="flex items-center gap-1 text-xs text-blue-700 hover:text-blue-900"
+          >
+            <Plus className="w-3 h-3" />
+            Add extension rule
+          </button>
+        )}
+      </div>
+
+      {isZip && options.overrides.map((override, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={override.extensions}
+            onChange={(e) => updateOverride(index, { extensions: e.target.value })}
+            placeholder="png, zip"
+            disabled={disabled}
+            className={`${inputClassName} flex-1 min-w-0`}
+          />
+          <MethodSelect
+            value={override.method}
+            onChange={(method) => updateOverride(index, { method })}
+            disabled={disabled}
+          />
+          {override.method === 'DEFLATE' && (
+            <select
+              value={override.level}
+              onChange={(e) => updateOverride(index, { level: Number(e.target.value) })}
+              disabled={disabled}
+              className={selectClassName}
+              title="Compression level"
+            >
+              {LEVELS.map(level => (
+                <option key={level} value={level}>Level {level}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={() => removeOverride(index)}
+            disabled={disabled}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove rule"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {estimate && (
+        <p className="text-xs text-gray-500">
+          Estimated {ARCHIVE_FORMATS[format].label} size: <strong className="text-gray-700">{formatFileSize(estimate.estimatedSize)}</strong>
+          {' '}({formatFileSize(estimate.totalSize)} uncompressed)
+        </p>
+      )}
+    </div>
+  );
+};
+
+CompressionOptions.propTypes = {
+  options: PropTypes.shape({
+    method: PropTypes.string,
+    level: PropTypes.number,
+    overrides: PropTypes.arrayOf(PropTypes.shape({
+      extensions: PropTypes.string,
+      method: PropTypes.string,
+      level: PropTypes.number
+    }))
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  format: PropTypes.string.isRequired,
+  onFormatChange: PropTypes.func.isRequired,
+  estimate: PropTypes.shape({
+    totalSize: PropTypes.number,
+    estimatedSize: PropTypes.number
+  }),
+  disabled: PropTypes.bool
+};
+
+export default CompressionOptions;
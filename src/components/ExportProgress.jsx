@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Progress } from './ui/progress';
+import { formatDuration, formatFileSize } from '../utils/formatters';
+
+const PHASE_LABELS = {
+  parse: 'Reading JSON',
+  layout: 'Laying out files',
+  tree: 'Building tree',
+  compress: 'Writing archive',
+  write: 'Writing files',
+  extract: 'Reading ZIP',
+  read: 'Reading folder'
+};
+
+/**
+ * Progress panel for a running conversion task. The ETA is estimated from the
+ * progress of the current phase, since phases run at very different speeds.
+ */
+const ExportProgress = ({ progress, startedAt, onCancel }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const [phaseStartedAt, setPhaseStartedAt] = useState(() => Date.now());
+  const phase = progress ? progress.phase : null;
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    setPhaseStartedAt(Date.now());
+  }, [phase]);
+
+  const percent = progress ? Math.min(100, Math.max(0, progress.percent || 0)) : 0;
+  const elapsed = startedAt ? Math.max(0, now - startedAt) : 0;
+  const phaseElapsed = Math.max(0, now - phaseStartedAt);
+  const eta = percent > 0 && percent < 100 ? (phaseElapsed * (100 - percent)) / percent : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="font-medium text-gray-800">
+          {PHASE_LABELS[phase] || 'Starting'}… {Math.round(percent)}%
+        </span>
+        <Button variant="outline" size="sm" onClick={onCancel}>
+          <X className="w-4 h-4 mr-2" />
+          Cancel
+        </Button>
+      </div>
+      <Progress value={percent} />
+      {progress && progress.currentFile && (
+        <p className="text-xs font-mono text-gray-600 truncate" title={progress.currentFile}>
+          {progress.currentFile}
+        </p>
+      )}
+      {progress && progress.total > 0 && (
+        <p className="text-xs text-gray-600">
+          {formatFileSize(progress.loaded)} of {formatFileSize(progress.total)}
+        </p>
+      )}
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>Elapsed {formatDuration(elapsed)}</span>
+        <span>{eta === null ? 'Estimating time left…' : `About ${formatDuration(eta)} left`}</span>
+      </div>
+    </div>
+  );
+};
+
+ExportProgress.propTypes = {
+  progress: PropTypes.shape({
+    phase: PropTypes.string,
+    percent: PropTypes.number,
+    currentFile: PropTypes.string,
+    loaded: PropTypes.number,
+    total: PropTypes.number
+  }),
+  startedAt: PropTypes.number,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ExportProgress;
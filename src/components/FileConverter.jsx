@@ -1,136 +1,112 @@
-import React, { useState, useRef } from 'react';
+import React, { useMemo, useState, useRef } from 'react';
 import { Button } from './ui/Button';
 import { Upload, Download, FileText, Folder, FolderOpen, File } from 'lucide-react';
+import InputOptions from './InputOptions';
+import InputWarnings from './InputWarnings';
+import LayoutOptions from './LayoutOptions';
+import RenameReport from './RenameReport';
+import { convertFileMapToZip, createHierarchicalTree, downloadBlob } from '../utils/converters';
+import { buildLayout, DEFAULT_LAYOUT_OPTIONS } from '../utils/fileLayout';
+import { combineDocuments, DEFAULT_MULTI_FILE_MODE, filterInputFiles, MULTI_FILE_MODES } from '../utils/inputFiles';
+import { DEFAULT_INPUT_OPTIONS, INPUT_FILE_ACCEPT, parseInput } from '../utils/inputFormats';
 
 const FileConverter = () => {
   const [jsonData, setJsonData] = useState(null);
   const [isConverting, setIsConverting] = useState(false);
   const [error, setError] = useState('');
+  const [warnings, setWarnings] = useState([]);
   const [expandedFolders, setExpandedFolders] = useState(new Set());
+  const [layoutOptions, setLayoutOptions] = useState(DEFAULT_LAYOUT_OPTIONS);
+  const [inputOptions, setInputOptions] = useState(DEFAULT_INPUT_OPTIONS);
+  const [multiFileMode, setMultiFileMode] = useState(DEFAULT_MULTI_FILE_MODE);
+  const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const loadFiles = async (files) => {
+    if (files.length === 0) return;
 
-    if (file.type !== 'application/json') {
+    const jsonFiles = await filterInputFiles(files);
+    if (jsonFiles.length === 0) {
       setError('Please select a valid JSON file');
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
+    const documents = [];
+    const fileWarnings = [];
+    for (const file of jsonFiles) {
       try {
-        const parsedData = JSON.parse(e.target.result);
-        setJsonData(parsedData);
-        setError('');
+        const { data, warnings: skipped } = parseInput(await file.text(), { ...inputOptions, filename: file.name });
+        documents.push({ name: file.name, data });
+        skipped.forEach(warning => fileWarnings.push(jsonFiles.length === 1 ? warning : { ...warning, file: file.name }));
       } catch (err) {
-        setError('Invalid JSON format');
+        setError(jsonFiles.length === 1 ? err.message : `${file.name}: ${err.message}`);
         setJsonData(null);
+        setWarnings([]);
+        return;
       }
-    };
-    reader.readAsText(file);
+    }
+
+    setJsonData(documents.length === 1 ? documents[0].data : combineDocuments(documents, multiFileMode));
+    setWarnings(fileWarnings);
+    setError('');
   };
 
-  const generateFileStructure = (obj, path = '') => {
-    const files = [];
-    
-    const processObject = (data, currentPath) => {
-      if (Array.isArray(data)) {
-        data.forEach((item, index) => {
-          const itemPath = `${currentPath}/item_${index}`;
-          if (typeof item === 'object' && item !== null) {
-            processObject(item, itemPath);
-          } else {
-            files.push({
-              path: `${itemPath}.txt`,
-              content: String(item)
-            });
-          }
-        });
-      } else if (typeof data === 'object' && data !== null) {
-        Object.entries(data).forEach(([key, value]) => {
-          const newPath = currentPath ? `${currentPath}/${key}` : key;
-          
-          if (typeof value === 'object' && value !== null) {
-            processObject(value, newPath);
-          } else {
-            const extension = typeof value === 'string' && value.length > 100 ? 'txt' : 'json';
-            files.push({
-              path: `${newPath}.${extension}`,
-              content: extension === 'json' ? JSON.stringify(value, null, 2) : String(value)
-            });
-          }
-        });
-      } else {
-        files.push({
-          path: `${currentPath || 'data'}.txt`,
-          content: String(data)
-        });
-      }
-    };
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    loadFiles(files);
+  };
 
-    processObject(obj, path);
-    return files;
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
   };
 
-  const createZipFile = async (files) => {
-    // Simple ZIP creation using browser APIs
-    const JSZip = await import('https://cdn.skypack.dev/jszip');
-    const zip = new JSZip.default();
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
 
-    files.forEach(file => {
-      zip.file(file.path, file.content);
-    });
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    loadFiles(Array.from(event.dataTransfer.files));
+  };
 
-    return await zip.generateAsync({ type: 'blob' });
+  const handlePaste = (event) => {
+    const files = Array.from(event.clipboardData.files);
+    if (files.length > 0) {
+      event.preventDefault();
+      loadFiles(files);
+    }
   };
 
+  // The layout is only rebuilt when the data or the options change
+  const { files, renames, layoutError } = useMemo(() => {
+    if (!jsonData) return { files: {}, renames: [], layoutError: '' };
+    try {
+      return { ...buildLayout(jsonData, layoutOptions), layoutError: '' };
+    } catch (err) {
+      return { files: {}, renames: [], layoutError: err.message };
+    }
+  }, [jsonData, layoutOptions]);
+  const fileTree = useMemo(() => createHierarchicalTree(files), [files]);
+
   const handleConvert = async () => {
-    if (!jsonData) return;
+    if (!jsonData || layoutError) return;
 
     setIsConverting(true);
     try {
-      const files = generateFileStructure(jsonData);
-      const zipBlob = await createZipFile(files);
-      
-      const url = URL.createObjectURL(zipBlob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'converted-files.zip';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      const zipBlob = await convertFileMapToZip(files, layoutOptions);
+      downloadBlob(zipBlob, 'converted-files.zip');
     } catch (err) {
-      setError('Failed to create ZIP file');
+      setError(err.message || 'Failed to create ZIP file');
     } finally {
       setIsConverting(false);
     }
   };
 
-  const buildFileTree = (files) => {
-    const tree = {};
-    
-    files.forEach(file => {
-      const parts = file.path.split('/');
-      let current = tree;
-      
-      parts.forEach((part, index) => {
-        if (index === parts.length - 1) {
-          current[part] = { type: 'file', content: file.content };
-        } else {
-          if (!current[part]) {
-            current[part] = { type: 'folder', children: {} };
-          }
-          current = current[part].children;
-        }
-      });
-    });
-    
-    return tree;
-  };
-
   const toggleFolder = (path) => {
     const newExpanded = new Set(expandedFolders);
     if (newExpanded.has(path)) {
@@ -141,9 +117,9 @@ const FileConverter = () => {
     setExpandedFolders(newExpanded);
   };
 
-  const renderFileTree = (tree, path = '') => {
-    return Object.entries(tree).map(([name, node]) => {
-      const currentPath = path ? `${path}/${name}` : name;
+  const renderFileTree = (tree) => {
+    return tree.map((node) => {
+      const { name, path: currentPath } = node;
       
       if (node.type === 'folder') {
         const isExpanded = expandedFolders.has(currentPath);
@@ -162,7 +138,7 @@ const FileConverter = () => {
             </div>
             {isExpanded && (
               <div className="ml-4">
-                {renderFileTree(node.children, currentPath)}
+                {renderFileTree(node.children)}
               </div>
             )}
           </div>
@@ -180,9 +156,6 @@ const FileConverter = () => {
     });
   };
 
-  const files = jsonData ? generateFileStructure(jsonData) : [];
-  const fileTree = files.length > 0 ? buildFileTree(files) : {};
-
   return (
     <div className="max-w-4xl mx-auto p-6 space-y-6">
       <div className="text-center">
@@ -199,24 +172,59 @@ const FileConverter = () => {
           </h2>
           
           <div className="space-y-4">
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
+            <div
+              className={`border-2 border-dashed rounded-lg p-8 text-center ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+              onPaste={handlePaste}
+              tabIndex={0}
+            >
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".json"
+                accept={INPUT_FILE_ACCEPT}
+                multiple
                 onChange={handleFileUpload}
                 className="hidden"
               />
               <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600 mb-4">Drag and drop your JSON file here, or click to browse</p>
+              <p className="text-gray-600 mb-4">Drag and drop or paste JSON files here, or click to browse</p>
               <Button onClick={() => fileInputRef.current?.click()}>
-                Select JSON File
+                Select JSON Files
               </Button>
             </div>
 
-            {error && (
+            <InputOptions
+              options={inputOptions}
+              onChange={setInputOptions}
+              disabled={isConverting}
+            />
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              Multiple files
+              <select
+                value={multiFileMode}
+                onChange={(e) => setMultiFileMode(e.target.value)}
+                disabled={isConverting}
+                title={MULTI_FILE_MODES[multiFileMode].description}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.values(MULTI_FILE_MODES).map(({ name, label }) => (
+                  <option key={name} value={name}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <LayoutOptions
+              options={layoutOptions}
+              onChange={setLayoutOptions}
+              disabled={isConverting}
+            />
+
+            {(error || layoutError) && (
               <div className="bg-red-50 border border-red-200 rounded-md p-3">
-                <p className="text-red-600 text-sm">{error}</p>
+                <p className="text-red-600 text-sm">{error || layoutError}</p>
               </div>
             )}
 
@@ -224,14 +232,17 @@ const FileConverter = () => {
               <div className="bg-green-50 border border-green-200 rounded-md p-3">
                 <p className="text-green-600 text-sm">JSON file loaded successfully!</p>
                 <p className="text-gray-600 text-xs mt-1">
-                  {files.length} files will be created
+                  {Object.keys(files).length} files will be created
                 </p>
               </div>
             )}
 
+            <InputWarnings warnings={warnings} />
+            <RenameReport renames={renames} />
+
             <Button
               onClick={handleConvert}
-              disabled={!jsonData || isConverting}
+              disabled={!jsonData || isConverting || Boolean(layoutError)}
               className="w-full"
             >
               {isConverting ? (
@@ -257,7 +268,7 @@ const FileConverter = () => {
           </h2>
           
           <div className="border rounded-lg p-4 h-96 overflow-y-auto bg-gray-50">
-            {Object.keys(fileTree).length > 0 ? (
+            {fileTree.length > 0 ? (
               <div className="space-y-1">
                 {renderFileTree(fileTree)}
               </div>
@@ -277,7 +288,7 @@ const FileConverter = () => {
       <div className="bg-blue-50 rounded-lg p-6">
         <h3 className="text-lg font-semibold text-blue-900 mb-3">How it works</h3>
         <ol className="list-decimal list-inside space-y-2 text-blue-800">
-          <li>Upload a JSON file using the file picker above</li>
+          <li>Upload, drop or paste one or more JSON files above</li>
           <li>The converter will analyze your JSON structure and create a file tree</li>
           <li>Objects become folders, and values become individual files</li>
           <li>Click "Convert to ZIP" to download your organized file structure</li>
@@ -1,8 +1,12 @@
-import React, { useState } from 'react';
-import { ChevronRight, ChevronDown, File, Folder, FolderOpen } from 'lucide-react';
+import PropTypes from 'prop-types';
+import React, { useCallback, useMemo, useState } from 'react';
+import { ChevronRight, ChevronDown, File, FileImage, Folder, FolderOpen } from 'lucide-react';
+import VirtualList from './VirtualList';
+import { collectFolderPaths, flattenVisibleNodes } from '../utils/treeUtils';
 
-const FileTreeNode = ({ node, depth = 0, onToggle, expandedNodes }) => {
-  const isExpanded = expandedNodes.has(node.path);
+const ROW_HEIGHT = 28;
+
+const FileTreeNode = ({ node, depth = 0, onToggle, isExpanded }) => {
   const hasChildren = node.children && node.children.length > 0;
   const isFile = node.type === 'file';
 
@@ -13,6 +17,9 @@ const FileTreeNode = ({ node, depth = 0, onToggle, expandedNodes }) => {
   };
 
   const getIcon = () => {
+    if (isFile && node.binary) {
+      return <FileImage className="w-4 h-4 text-purple-500" />;
+    }
     if (isFile) {
       return <File className="w-4 h-4 text-blue-500" />;
     }
@@ -42,15 +49,23 @@ const FileTreeNode = ({ node, depth = 0, onToggle, expandedNodes }) => {
       'jpg': 'text-purple-500',
       'jpeg': 'text-purple-500',
       'gif': 'text-purple-500',
-      'svg': 'text-indigo-500'
+      'webp': 'text-purple-500',
+      'ico': 'text-purple-500',
+      'svg': 'text-indigo-500',
+      'pdf': 'text-red-500',
+      'woff': 'text-teal-500',
+      'woff2': 'text-teal-500',
+      'ttf': 'text-teal-500',
+      'otf': 'text-teal-500',
+      'bin': 'text-gray-400'
     };
     return colorMap[ext] || 'text-gray-600';
   };
 
   return (
-    <div className="select-none">
+    <div className="select-none h-full">
       <div 
-        className={`flex items-center py-1 px-2 hover:bg-gray-100 rounded cursor-pointer transition-colors duration-150 ${
+        className={`flex items-center h-full px-2 hover:bg-gray-100 rounded cursor-pointer transition-colors duration-150 ${
           depth === 0 ? 'font-medium' : ''
         }`}
         style={{ paddingLeft: `${depth * 20 + 8}px` }}
@@ -83,29 +98,32 @@ const FileTreeNode = ({ node, depth = 0, onToggle, expandedNodes }) => {
           
           {isFile && (
             <span className="ml-auto text-xs text-gray-400 flex-shrink-0">
+              {node.binary && 'binary · '}
               {node.size ? formatFileSize(node.size) : ''}
             </span>
           )}
         </div>
       </div>
-      
-      {hasChildren && isExpanded && (
-        <div className="ml-2">
-          {node.children.map((child, index) => (
-            <FileTreeNode
-              key={`${child.path}-${index}`}
-              node={child}
-              depth={depth + 1}
-              onToggle={onToggle}
-              expandedNodes={expandedNodes}
-            />
-          ))}
-        </div>
-      )}
     </div>
   );
 };
 
+const treeNodeShape = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  path: PropTypes.string,
+  type: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  binary: PropTypes.bool,
+  children: PropTypes.arrayOf(PropTypes.object)
+});
+
+FileTreeNode.propTypes = {
+  node: treeNodeShape.isRequired,
+  depth: PropTypes.number,
+  onToggle: PropTypes.func.isRequired,
+  isExpanded: PropTypes.bool.isRequired
+};
+
 const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -117,44 +135,41 @@ const formatFileSize = (bytes) => {
 const FileTree = ({ data, className = '' }) => {
   const [expandedNodes, setExpandedNodes] = useState(new Set());
 
-  const handleToggle = (path) => {
-    const newExpanded = new Set(expandedNodes);
-    if (newExpanded.has(path)) {
-      newExpanded.delete(path);
-    } else {
-      newExpanded.add(path);
-    }
-    setExpandedNodes(newExpanded);
-  };
+  const rootNodes = useMemo(() => {
+    if (!data) return [];
+    return Array.isArray(data) ? data : [data];
+  }, [data]);
 
-  const expandAll = () => {
-    const allPaths = new Set();
-    const collectPaths = (node) => {
-      if (node.children && node.children.length > 0) {
-        allPaths.add(node.path);
-        node.children.forEach(collectPaths);
-      }
-    };
-    if (data) {
-      if (Array.isArray(data)) {
-        data.forEach(collectPaths);
+  const rows = useMemo(() => flattenVisibleNodes(rootNodes, expandedNodes), [rootNodes, expandedNodes]);
+
+  const handleToggle = useCallback((path) => {
+    setExpandedNodes(prev => {
+      const newExpanded = new Set(prev);
+      if (newExpanded.has(path)) {
+        newExpanded.delete(path);
       } else {
-        collectPaths(data);
+        newExpanded.add(path);
       }
-    }
-    setExpandedNodes(allPaths);
+      return newExpanded;
+    });
+  }, []);
+
+  const expandAll = () => {
+    setExpandedNodes(collectFolderPaths(rootNodes));
   };
 
   const collapseAll = () => {
     setExpandedNodes(new Set());
   };
 
-  const getTotalStats = () => {
+  const stats = useMemo(() => {
     let fileCount = 0;
     let folderCount = 0;
     let totalSize = 0;
+    const stack = [...rootNodes];
 
-    const countNodes = (node) => {
+    while (stack.length > 0) {
+      const node = stack.pop();
       if (node.type === 'file') {
         fileCount++;
         totalSize += node.size || 0;
@@ -162,20 +177,12 @@ const FileTree = ({ data, className = '' }) => {
         folderCount++;
       }
       if (node.children) {
-        node.children.forEach(countNodes);
-      }
-    };
-
-    if (data) {
-      if (Array.isArray(data)) {
-        data.forEach(countNodes);
-      } else {
-        countNodes(data);
+        node.children.forEach(child => stack.push(child));
       }
     }
 
     return { fileCount, folderCount, totalSize };
-  };
+  }, [rootNodes]);
 
   if (!data) {
     return (
@@ -187,9 +194,6 @@ const FileTree = ({ data, className = '' }) => {
     );
   }
 
-  const stats = getTotalStats();
-  const rootNodes = Array.isArray(data) ? data : [data];
-
   return (
     <div className={`bg-white border border-gray-200 rounded-lg ${className}`}>
       <div className="border-b border-gray-200 p-3">
@@ -228,18 +232,27 @@ const FileTree = ({ data, className = '' }) => {
         </div>
       </div>
       
-      <div className="max-h-96 overflow-y-auto p-2">
-        {rootNodes.map((node, index) => (
+      <VirtualList
+        items={rows}
+        rowHeight={ROW_HEIGHT}
+        getKey={({ node }) => node.path || node.name}
+        renderRow={({ node, depth }) => (
           <FileTreeNode
-            key={`${node.path || node.name}-${index}`}
             node={node}
+            depth={depth}
             onToggle={handleToggle}
-            expandedNodes={expandedNodes}
+            isExpanded={expandedNodes.has(node.path)}
           />
-        ))}
-      </div>
+        )}
+        className="h-96 p-2"
+      />
     </div>
   );
 };
 
+FileTree.propTypes = {
+  data: PropTypes.oneOfType([treeNodeShape, PropTypes.arrayOf(treeNodeShape)]),
+  className: PropTypes.string
+};
+
 export default FileTree;
\ No newline at end of file
@@ -0,0 +1,111 @@
+import PropTypes from 'prop-types';
+import { BINARY_ENCODINGS } from '../utils/folderImport';
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const MEGABYTE = 1024 * 1024;
+
+const SizeInput = ({ label, value, onChange, disabled }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-700">
+    {label}
+    <input
+      type="number"
+      min="0"
+      step="1"
+      value={value ? Math.round(value / MEGABYTE) : ''}
+      onChange={(e) => onChange(Number(e.target.value) * MEGABYTE)}
+      placeholder="No limit"
+      disabled={disabled}
+      className={`${inputClassName} w-24`}
+    />
+    MB
+  </label>
+);
+
+SizeInput.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+const FolderImportOptions = ({ options, onChange, disabled = false }) => {
+  const update = (changes) => {
+    onChange({ ...options, ...changes });
+  };
+
+  return (
+    <details className="text-sm text-gray-700">
+      <summary className="cursor-pointer select-none">Folder import settings</summary>
+      <div className="mt-2 space-y-2">
+        <label className="flex items-center gap-2">
+          <span className="w-16">Include</span>
+          <input
+            type="text"
+            value={options.include}
+            onChange={(e) => update({ include: e.target.value })}
+            placeholder="All files, e.g. src/**, *.json"
+            disabled={disabled}
+            className={`${inputClassName} flex-1 min-w-0`}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-16">Exclude</span>
+          <input
+            type="text"
+            value={options.exclude}
+            onChange={(e) => update({ exclude: e.target.value })}
+            placeholder="e.g. **/node_modules/**, *.log"
+            disabled={disabled}
+            className={`${inputClassName} flex-1 min-w-0`}
+          />
+        </label>
+        <div className="flex flex-wrap items-center gap-4">
+          <SizeInput
+            label="Max file size"
+            value={options.maxFileSize}
+            onChange={(maxFileSize) => update({ maxFileSize })}
+            disabled={disabled}
+          />
+          <SizeInput
+            label="Max total size"
+            value={options.maxTotalSize}
+            onChange={(maxTotalSize) => update({ maxTotalSize })}
+            disabled={disabled}
+          />
+          <label className="flex items-center gap-2">
+            Binary files as
+            <select
+              value={options.binaryEncoding}
+              onChange={(e) => update({ binaryEncoding: e.target.value })}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              {Object.values(BINARY_ENCODINGS).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          Patterns are comma-separated. <code>*</code> matches within a folder, <code>**</code> across folders,
+          and a pattern without <code>/</code> matches file names at any depth.
+        </p>
+      </div>
+    </details>
+  );
+};
+
+FolderImportOptions.propTypes = {
+  options: PropTypes.shape({
+    include: PropTypes.string,
+    exclude: PropTypes.string,
+    maxFileSize: PropTypes.number,
+    maxTotalSize: PropTypes.number,
+    binaryEncoding: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default FolderImportOptions;
@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import CSVOptions from './CSVOptions';
+import { AUTO_INPUT_FORMAT, INPUT_FORMATS } from '../utils/inputFormats';
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const InputOptions = ({ options, onChange, disabled = false }) => {
+  const { format } = options;
+  const acceptsYAML = format === AUTO_INPUT_FORMAT || format === 'yaml';
+  const acceptsJSONLines = format === AUTO_INPUT_FORMAT || format === 'ndjson';
+  const acceptsCSV = format === AUTO_INPUT_FORMAT || format === 'csv' || format === 'tsv';
+
+  const update = (changes) => {
+    onChange({ ...options, ...changes });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        Input format
+        <select
+          value={format}
+          onChange={(e) => update({ format: e.target.value })}
+          disabled={disabled}
+          title={format === AUTO_INPUT_FORMAT ? 'Detected from the content' : INPUT_FORMATS[format].description}
+          className={selectClassName}
+        >
+          <option value={AUTO_INPUT_FORMAT}>Auto-detect</option>
+          {Object.values(INPUT_FORMATS).map(({ name, label }) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {acceptsYAML && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.yamlDocumentFolders}
+            onChange={(e) => update({ yamlDocumentFolders: e.target.checked })}
+            disabled={disabled}
+          />
+          One folder per YAML document
+        </label>
+      )}
+      {acceptsJSONLines && (
+        <label className="flex items-center gap-2 text-sm text-gray-700" title="JSON Lines records are named line_N after their line number unless they have this field">
+          Name JSON Lines records by field
+          <input
+            type="text"
+            value={options.jsonLinesNameField}
+            onChange={(e) => update({ jsonLinesNameField: e.target.value.trim() })}
+            disabled={disabled}
+            placeholder="line number"
+            className={`${selectClassName} w-32`}
+          />
+        </label>
+      )}
+      {acceptsCSV && (
+        <div className="w-full">
+          <CSVOptions
+            options={options.csv}
+            onChange={(csv) => update({ csv })}
+            disabled={disabled}
+            fixedDelimiter={format === 'tsv'}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+InputOptions.propTypes = {
+  options: PropTypes.shape({
+    format: PropTypes.string,
+    yamlDocumentFolders: PropTypes.bool,
+    jsonLinesNameField: PropTypes.string,
+    csv: PropTypes.object
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default InputOptions;
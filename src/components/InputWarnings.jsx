@@ -0,0 +1,40 @@
+import PropTypes from 'prop-types';
+import { AlertTriangle } from 'lucide-react';
+
+// Longer lists are cut off so a badly broken file does not flood the page
+const MAX_LISTED_WARNINGS = 100;
+
+const InputWarnings = ({ warnings }) => {
+  if (!warnings || warnings.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+      <p className="flex items-center gap-2 text-yellow-800 text-sm font-medium">
+        <AlertTriangle className="w-4 h-4" />
+        {warnings.length} {warnings.length === 1 ? 'problem' : 'problems'} in the input
+      </p>
+      <ul className="mt-2 max-h-32 overflow-y-auto space-y-1 text-xs font-mono text-yellow-900">
+        {warnings.slice(0, MAX_LISTED_WARNINGS).map(({ file, line, message }, index) => (
+          <li key={index}>
+            <span className="text-yellow-700">{file ? `${file}, line ${line}` : `Line ${line}`}</span> {message}
+          </li>
+        ))}
+        {warnings.length > MAX_LISTED_WARNINGS && (
+          <li className="text-yellow-700">…and {warnings.length - MAX_LISTED_WARNINGS} more</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+InputWarnings.propTypes = {
+  warnings: PropTypes.arrayOf(PropTypes.shape({
+    file: PropTypes.string,
+    line: PropTypes.number,
+    message: PropTypes.string
+  }))
+};
+
+export default InputWarnings;
@@ -0,0 +1,229 @@
+import PropTypes from 'prop-types';
+import { Plus, Trash2 } from 'lucide-react';
+import { ARRAY_MODES, COLLISION_POLICIES, DEFAULT_ARRAY_FIELDS, LAYOUT_STRATEGIES, PATH_SEPARATORS } from '../utils/fileLayout';
+import { PORTABILITY_PROFILES } from '../utils/portability';
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const ArrayModeSelect = ({ value, onChange, disabled, defaultLabel }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className={selectClassName}
+  >
+    {defaultLabel && <option value="">{defaultLabel}</option>}
+    {Object.values(ARRAY_MODES).map(({ name, label }) => (
+      <option key={name} value={name}>{label}</option>
+    ))}
+  </select>
+);
+
+ArrayModeSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  defaultLabel: PropTypes.string
+};
+
+const LayoutOptions = ({ options, onChange, disabled = false }) => {
+  const strategy = LAYOUT_STRATEGIES[options.strategy];
+  const arrayMode = options.arrays || (strategy && strategy.arrays);
+  const fieldPlaceholder = DEFAULT_ARRAY_FIELDS.join(', ');
+
+  const update = (changes) => {
+    onChange({ ...options, ...changes });
+  };
+
+  const updateRule = (index, changes) => {
+    update({
+      arrayRules: options.arrayRules.map((rule, position) => (
+        position === index ? { ...rule, ...changes } : rule
+      ))
+    });
+  };
+
+  const addRule = () => {
+    update({ arrayRules: [...options.arrayRules, { path: '$', mode: 'index', field: '' }] });
+  };
+
+  const removeRule = (index) => {
+    update({ arrayRules: options.arrayRules.filter((_, position) => position !== index) });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Layout
+          <select
+            value={options.strategy}
+            onChange={(e) => update({ strategy: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(LAYOUT_STRATEGIES).map(({ name, label }) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.manifest}
+            onChange={(e) => update({ manifest: e.target.checked })}
+            disabled={disabled}
+          />
+          Include type manifest
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.decodeBinary}
+            onChange={(e) => update({ decodeBinary: e.target.checked })}
+            disabled={disabled}
+          />
+          Decode base64 binaries
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Name collisions
+          <select
+            value={options.collisions}
+            onChange={(e) => update({ collisions: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(COLLISION_POLICIES).map(({ name, label }) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Target platform
+          <select
+            value={options.portability}
+            onChange={(e) => update({ portability: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(PORTABILITY_PROFILES).map(({ name, label }) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {strategy && strategy.keysArePaths && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Path separator
+            <select
+              value={options.pathSeparator}
+              onChange={(e) => update({ pathSeparator: e.target.value })}
+              disabled={disabled}
+              className={`${selectClassName} font-mono`}
+            >
+              {PATH_SEPARATORS.map(separator => (
+                <option key={separator} value={separator}>{separator}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {strategy && (
+        <p className="text-xs text-gray-500">{strategy.description}</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Arrays
+          <ArrayModeSelect
+            value={options.arrays}
+            onChange={(arrays) => update({ arrays })}
+            disabled={disabled}
+            defaultLabel="Layout default"
+          />
+        </label>
+        {arrayMode === 'field' && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Name from
+            <input
+              type="text"
+              value={options.arrayField}
+              onChange={(e) => update({ arrayField: e.target.value })}
+              placeholder={fieldPlaceholder}
+              disabled={disabled}
+              className={inputClassName}
+            />
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={addRule}
+          disabled={disabled}
+          className="flex items-center gap-1 text-xs text-blue-700 hover:text-blue-900"
+        >
+          <Plus className="w-3 h-3" />
+          Add JSONPath rule
+        </button>
+      </div>
+
+      {options.arrayRules.map((rule, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={rule.path}
+            onChange={(e) => updateRule(index, { path: e.target.value })}
+            placeholder="$.users"
+            disabled={disabled}
+            className={inputClassName}
+          />
+          <ArrayModeSelect
+            value={rule.mode}
+            onChange={(mode) => updateRule(index, { mode })}
+            disabled={disabled}
+          />
+          {rule.mode === 'field' && (
+            <input
+              type="text"
+              value={rule.field}
+              onChange={(e) => updateRule(index, { field: e.target.value })}
+              placeholder={fieldPlaceholder}
+              disabled={disabled}
+              className={inputClassName}
+            />
+          )}
+          <button
+            type="button"
+            onClick={() => removeRule(index)}
+            disabled={disabled}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove rule"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+LayoutOptions.propTypes = {
+  options: PropTypes.shape({
+    strategy: PropTypes.string,
+    manifest: PropTypes.bool,
+    arrays: PropTypes.string,
+    arrayField: PropTypes.string,
+    arrayRules: PropTypes.arrayOf(PropTypes.shape({
+      path: PropTypes.string,
+      mode: PropTypes.string,
+      field: PropTypes.string
+    })),
+    pathSeparator: PropTypes.string,
+    decodeBinary: PropTypes.bool,
+    collisions: PropTypes.string,
+    portability: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default LayoutOptions;
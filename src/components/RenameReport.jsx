@@ -0,0 +1,34 @@
+import PropTypes from 'prop-types';
+import { AlertTriangle } from 'lucide-react';
+
+const RenameReport = ({ renames }) => {
+  if (!renames || renames.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+      <p className="flex items-center gap-2 text-yellow-800 text-sm font-medium">
+        <AlertTriangle className="w-4 h-4" />
+        {renames.length} {renames.length === 1 ? 'entry was' : 'entries were'} renamed to avoid collisions
+      </p>
+      <ul className="mt-2 max-h-32 overflow-y-auto space-y-1 text-xs font-mono text-yellow-900">
+        {renames.map(({ source, from, to }) => (
+          <li key={`${source}:${to}`}>
+            <span className="text-yellow-700">{source}</span> {from} → {to}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+RenameReport.propTypes = {
+  renames: PropTypes.arrayOf(PropTypes.shape({
+    source: PropTypes.string,
+    from: PropTypes.string,
+    to: PropTypes.string
+  }))
+};
+
+export default RenameReport;
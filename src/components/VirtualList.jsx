@@ -0,0 +1,58 @@
+import PropTypes from 'prop-types';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Scrollable list that only mounts the rows in view, plus `overscan` rows on
+ * either side. Every row has the same height.
+ */
+const VirtualList = ({ items, rowHeight, renderRow, getKey, overscan = 10, className = '' }) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setViewportHeight(entry.contentRect.height);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`overflow-auto ${className}`}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div style={{ height: `${items.length * rowHeight}px`, position: 'relative' }}>
+        <div style={{ transform: `translateY(${start * rowHeight}px)` }}>
+          {items.slice(start, end).map((item, offset) => (
+            <div key={getKey(item, start + offset)} style={{ height: `${rowHeight}px` }}>
+              {renderRow(item, start + offset)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+VirtualList.propTypes = {
+  items: PropTypes.array.isRequired,
+  rowHeight: PropTypes.number.isRequired,
+  renderRow: PropTypes.func.isRequired,
+  getKey: PropTypes.func.isRequired,
+  overscan: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default VirtualList;
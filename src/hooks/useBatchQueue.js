@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useConversionWorker } from './useConversionWorker';
+import { isArchiveStoreSupported, openArchiveStore } from '../utils/archiveStore';
+
+/**
+ * Status of a queued file
+ */
+export const BATCH_STATUSES = {
+  pending: 'pending',
+  converting: 'converting',
+  done: 'done',
+  failed: 'failed'
+};
+
+let nextItemId = 1;
+
+/**
+ * Converts queued JSON files one at a time in the conversion worker. Each file
+ * is converted with the options current when its turn comes; finished archives
+ * are kept with those options so failures can be retried without converting
+ * the rest again. Archives are streamed to the origin private file system where
+ * the browser has one, so only their handles and sizes stay in memory.
+ * @param {Object} options - Conversion options, as for the 'archive' task
+ * @returns {Object} - { items, addFiles, removeItem, clearFinished, start, stop,
+ *   retryFailed, readArchive(item), progress, isRunning }
+ */
+export const useBatchQueue = (options) => {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const itemsRef = useRef(items);
+  const optionsRef = useRef(options);
+  const runningRef = useRef(false);
+  const storeRef = useRef(null);
+  const { run, cancel, progress } = useConversionWorker();
+
+  useEffect(() => {
+    optionsRef.current = options;
+  }, [options]);
+
+  useEffect(() => {
+    return () => {
+      if (storeRef.current) storeRef.current.then(store => store && store.close());
+      storeRef.current = null;
+    };
+  }, []);
+
+  // Opened on first use; null when archives have to be kept as Blobs
+  const getStore = useCallback(() => {
+    if (!storeRef.current) {
+      storeRef.current = isArchiveStoreSupported()
+        ? navigator.storage.getDirectory().then(root => openArchiveStore(root)).catch(() => null)
+        : Promise.resolve(null);
+    }
+    return storeRef.current;
+  }, []);
+
+  const removeArchives = useCallback(async (removed) => {
+    const store = await getStore();
+    if (!store) return;
+    removed.filter(({ archive }) => archive).forEach(({ id }) => store.remove(String(id)));
+  }, [getStore]);
+
+  // The ref is updated first so the queue loop sees changes immediately
+  const updateItems = useCallback((update) => {
+    itemsRef.current = update(itemsRef.current);
+    setItems(itemsRef.current);
+  }, []);
+
+  const updateItem = useCallback((id, changes) => {
+    updateItems(current => current.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, [updateItems]);
+
+  const start = useCallback(async () => {
+    if (runningRef.current) return;
+    runningRef.current = true;
+    setIsRunning(true);
+
+    try {
+      while (runningRef.current) {
+        const item = itemsRef.current.find(({ status }) => status === BATCH_STATUSES.pending);
+        if (!item) break;
+
+        const itemOptions = optionsRef.current;
+        updateItem(item.id, { status: BATCH_STATUSES.converting, error: '' });
+        const store = await getStore();
+        try {
+          if (store) {
+            const fileHandle = await store.create(String(item.id));
+            const size = await run('archive', { source: item.file, options: itemOptions, fileHandle });
+            updateItem(item.id, { status: BATCH_STATUSES.done, archive: fileHandle, size, options: itemOptions });
+          } else {
+            const blob = await run('archive', { source: item.file, options: itemOptions });
+            updateItem(item.id, { status: BATCH_STATUSES.done, archive: blob, size: blob.size, options: itemOptions });
+          }
+        } catch (err) {
+          if (store) store.remove(String(item.id));
+          if (err.name === 'AbortError') {
+            updateItem(item.id, { status: BATCH_STATUSES.pending });
+            break;
+          }
+          updateItem(item.id, { status: BATCH_STATUSES.failed, error: err.message || 'Conversion failed' });
+        }
+      }
+    } finally {
+      runningRef.current = false;
+      setIsRunning(false);
+    }
+  }, [run, updateItem, getStore]);
+
+  const stop = useCallback(() => {
+    runningRef.current = false;
+    cancel();
+  }, [cancel]);
+
+  const addFiles = useCallback((files) => {
+    updateItems(current => [
+      ...current,
+      ...files.map(file => ({ id: nextItemId++, file, status: BATCH_STATUSES.pending, error: '', archive: null, size: 0, options: null }))
+    ]);
+  }, [updateItems]);
+
+  const removeItem = useCallback((id) => {
+    const item = itemsRef.current.find(entry => entry.id === id);
+    if (!item || item.status === BATCH_STATUSES.converting) return;
+    updateItems(current => current.filter(entry => entry.id !== id));
+    removeArchives([item]);
+  }, [updateItems, removeArchives]);
+
+  const clearFinished = useCallback(() => {
+    removeArchives(itemsRef.current.filter(({ status }) => status === BATCH_STATUSES.done));
+    updateItems(current => current.filter(({ status }) => status !== BATCH_STATUSES.done));
+  }, [updateItems, removeArchives]);
+
+  // Stored archives are read back as disk-backed Files
+  const readArchive = useCallback(async ({ archive }) => (
+    archive instanceof Blob ? archive : archive.getFile()
+  ), []);
+
+  const retryFailed = useCallback(() => {
+    updateItems(current => current.map(item => (
+      item.status === BATCH_STATUSES.failed ? { ...item, status: BATCH_STATUSES.pending, error: '' } : item
+    )));
+    start();
+  }, [updateItems, start]);
+
+  return { items, addFiles, removeItem, clearFinished, start, stop, retryFailed, readArchive, progress, isRunning };
+};
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createConversionClient } from '../utils/conversionClient';
+
+/**
+ * Runs conversion tasks in a Web Worker. Starting a task cancels the one
+ * still running, so only the latest result is ever delivered.
+ * @returns {Object} - { run(type, payload), cancel(), progress, startedAt, isRunning }
+ */
+export const useConversionWorker = () => {
+  const clientRef = useRef(null);
+  const controllerRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  const [startedAt, setStartedAt] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  useEffect(() => {
+    return () => {
+      if (controllerRef.current) controllerRef.current.abort();
+      if (clientRef.current) clientRef.current.dispose();
+      clientRef.current = null;
+    };
+  }, []);
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const run = useCallback(async (type, payload) => {
+    cancel();
+    if (!clientRef.current) {
+      clientRef.current = createConversionClient();
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress(null);
+    setStartedAt(Date.now());
+    setIsRunning(true);
+
+    try {
+      return await clientRef.current.run(type, payload, {
+        signal: controller.signal,
+        onProgress: (update) => {
+          if (!controller.signal.aborted) setProgress(update);
+        }
+      });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsRunning(false);
+        setProgress(null);
+      }
+    }
+  }, [cancel]);
+
+  return { run, cancel, progress, startedAt, isRunning };
+};
@@ -0,0 +1,52 @@
+/**
+ * Keeps finished batch archives in the origin private file system, so they
+ * stay on disk rather than in memory until they are downloaded or removed.
+ * Each page gets its own session folder; folders of sessions that were never
+ * closed, e.g. because the tab crashed, are removed once they are a day old.
+ */
+
+const STORE_FOLDER = 'batch-archives';
+const STALE_SESSION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether the browser has an origin private file system whose files
+ * can be streamed to
+ * @returns {boolean} - True when navigator.storage.getDirectory and
+ *   FileSystemFileHandle.createWritable are available
+ */
+export const isArchiveStoreSupported = () => (
+  typeof navigator !== 'undefined' && Boolean(navigator.storage) &&
+  typeof navigator.storage.getDirectory === 'function' &&
+  typeof FileSystemFileHandle !== 'undefined' &&
+  typeof FileSystemFileHandle.prototype.createWritable === 'function'
+);
+
+/**
+ * Opens a store for one session and removes stale session folders
+ * @param {FileSystemDirectoryHandle} root - The origin private file system, from
+ *   navigator.storage.getDirectory()
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { create(name), remove(name), close() } where create
+ *   resolves to a new file handle, and close removes the session folder
+ */
+export const openArchiveStore = async (root, now = Date.now()) => {
+  const store = await root.getDirectoryHandle(STORE_FOLDER, { create: true });
+
+  const names = [];
+  for await (const name of store.keys()) names.push(name);
+  for (const name of names) {
+    const startedAt = Number(name.split('-')[0]);
+    if (!(now - startedAt < STALE_SESSION_MS)) {
+      await store.removeEntry(name, { recursive: true }).catch(() => {});
+    }
+  }
+
+  const sessionName = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+  const session = await store.getDirectoryHandle(sessionName, { create: true });
+
+  return {
+    create: name => session.getFileHandle(name, { create: true }),
+    remove: name => session.removeEntry(name).catch(() => {}),
+    close: () => store.removeEntry(sessionName, { recursive: true }).catch(() => {})
+  };
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { openArchiveStore } from './archiveStore';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory stand-in for a directory handle
+const createDirectory = () => ({
+  entries: {},
+  async getDirectoryHandle(name, { create = false } = {}) {
+    if (!this.entries[name] && create) this.entries[name] = createDirectory();
+    return this.entries[name];
+  },
+  async getFileHandle(name, { create = false } = {}) {
+    if (!this.entries[name] && create) this.entries[name] = { kind: 'file', name };
+    return this.entries[name];
+  },
+  async removeEntry(name) {
+    if (!this.entries[name]) throw Object.assign(new Error(name), { name: 'NotFoundError' });
+    delete this.entries[name];
+  },
+  async* keys() {
+    yield* Object.keys(this.entries);
+  }
+});
+
+describe('openArchiveStore', () => {
+  it('creates files in a session folder and removes it on close', async () => {
+    const root = createDirectory();
+    const store = await openArchiveStore(root, DAY_MS);
+    const folder = root.entries['batch-archives'];
+    const [sessionName] = Object.keys(folder.entries);
+
+    expect(await store.create('1')).toEqual({ kind: 'file', name: '1' });
+    expect(Object.keys(folder.entries[sessionName].entries)).toEqual(['1']);
+
+    await store.remove('1');
+    await store.remove('1');
+    expect(folder.entries[sessionName].entries).toEqual({});
+
+    await store.close();
+    expect(folder.entries).toEqual({});
+  });
+
+  it('removes the folders of sessions older than a day', async () => {
+    const root = createDirectory();
+    await openArchiveStore(root, 0);
+    await openArchiveStore(root, DAY_MS - 1);
+    await openArchiveStore(root, DAY_MS);
+
+    const names = Object.keys(root.entries['batch-archives'].entries);
+    expect(names.map(name => Number(name.split('-')[0]))).toEqual([DAY_MS - 1, DAY_MS]);
+  });
+});
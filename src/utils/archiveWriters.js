@@ -0,0 +1,221 @@
+/**
+ * Archive writers for the supported output formats. Every writer has the same
+ * interface: `add(path, content, compression)` for each file, then either
+ * `toBlob(onUpdate)` or `writeTo(writable, onUpdate)` to stream the archive.
+ * `compression` overrides the writer's ZIP compression settings for one file
+ * and is ignored by tar. `onUpdate` receives `{ percent, currentFile }`.
+ */
+
+import JSZip from 'jszip';
+import { DEFAULT_COMPRESSION_OPTIONS, estimateZipSize, getZipFileOptions } from './compression';
+import { byteLength } from './portability';
+import { generateTar, getTarSize } from './tar';
+
+/**
+ * Bytes of tar data gzipped when estimating the size of a .tar.gz
+ */
+const ESTIMATE_SAMPLE_BYTES = 1024 * 1024;
+
+/**
+ * Creates a ZIP writer backed by JSZip
+ * @param {Object} options - { compression }
+ * @returns {Object} - Archive writer
+ */
+const createZipWriter = ({ compression = DEFAULT_COMPRESSION_OPTIONS } = {}) => {
+  const zip = new JSZip();
+
+  return {
+    add: (path, content, settings = compression) => {
+      zip.file(path, content, getZipFileOptions(path, settings));
+    },
+
+    toBlob: (onUpdate) => zip.generateAsync({ type: 'blob' }, onUpdate),
+
+    // Generation pauses while each chunk is being written
+    writeTo: async (writable, onUpdate = () => {}) => {
+      const writer = writable.getWriter();
+      let bytesWritten = 0;
+
+      try {
+        await new Promise((resolve, reject) => {
+          let lastWrite = Promise.resolve();
+          const stream = zip.generateInternalStream({
+            type: 'uint8array',
+            streamFiles: true
+          });
+
+          stream
+            .on('data', (chunk, metadata) => {
+              stream.pause();
+              lastWrite = writer.ready
+                .then(() => writer.write(chunk))
+                .then(() => {
+                  bytesWritten += chunk.length;
+                  onUpdate(metadata);
+                  stream.resume();
+                })
+                .catch(reject);
+            })
+            .on('error', reject)
+            .on('end', () => {
+              lastWrite.then(resolve, reject);
+            })
+            .resume();
+        });
+        await writer.close();
+        return bytesWritten;
+      } catch (error) {
+        await writer.abort(error).catch(() => {});
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Wraps a chunk iterator in a pull-based ReadableStream
+ * @param {Iterator<Uint8Array>} chunks - The chunks
+ * @returns {ReadableStream} - Stream of the chunks
+ */
+const toReadableStream = (chunks) => new ReadableStream({
+  pull: (controller) => {
+    const { value, done } = chunks.next();
+    if (done) {
+      controller.close();
+    } else {
+      controller.enqueue(value);
+    }
+  }
+});
+
+/**
+ * Pipes a stream into a writable, counting the bytes written
+ * @param {ReadableStream} readable - The archive data
+ * @param {WritableStream} writable - The destination, closed when done
+ * @returns {Promise<number>} - Bytes written
+ */
+const pipeCounted = async (readable, writable) => {
+  let bytesWritten = 0;
+  const counter = new TransformStream({
+    transform: (chunk, controller) => {
+      bytesWritten += chunk.length;
+      controller.enqueue(chunk);
+    }
+  });
+  await readable.pipeThrough(counter).pipeTo(writable);
+  return bytesWritten;
+};
+
+/**
+ * Creates a tar writer, optionally gzipped with CompressionStream
+ * @param {Object} options - { gzip }
+ * @returns {Object} - Archive writer
+ */
+const createTarWriter = ({ gzip = false } = {}) => {
+  const files = {};
+
+  const createStream = (onUpdate) => {
+    const tar = toReadableStream(generateTar(files, { onUpdate }));
+    return gzip ? tar.pipeThrough(new CompressionStream('gzip')) : tar;
+  };
+
+  return {
+    add: (path, content) => {
+      files[path] = content;
+    },
+
+    toBlob: (onUpdate) => new Response(createStream(onUpdate)).blob(),
+
+    writeTo: (writable, onUpdate) => pipeCounted(createStream(onUpdate), writable)
+  };
+};
+
+/**
+ * Estimates the size of a .tar.gz by gzipping a sample of the files
+ * @param {Object} files - Map of path to content
+ * @returns {Promise<number>} - Estimated size in bytes
+ */
+const estimateTarGzSize = async (files) => {
+  const paths = Object.keys(files);
+  const tarSize = getTarSize(files);
+  const stride = Math.max(1, Math.ceil(tarSize / ESTIMATE_SAMPLE_BYTES));
+  const sample = {};
+  paths.filter((_, index) => index % stride === 0).forEach(path => {
+    sample[path] = files[path];
+  });
+
+  const sampleBlob = await new Response(
+    toReadableStream(generateTar(sample)).pipeThrough(new CompressionStream('gzip'))
+  ).blob();
+  return Math.round(tarSize * (sampleBlob.size / getTarSize(sample)));
+};
+
+/**
+ * Supported archive formats
+ */
+export const ARCHIVE_FORMATS = {
+  zip: {
+    name: 'zip',
+    label: 'ZIP',
+    extension: '.zip',
+    mediaType: 'application/zip',
+    createWriter: createZipWriter,
+    estimateSize: async (files, options) => (await estimateZipSize(files, options.compression)).estimatedSize
+  },
+  tar: {
+    name: 'tar',
+    label: 'TAR',
+    extension: '.tar',
+    mediaType: 'application/x-tar',
+    createWriter: () => createTarWriter(),
+    estimateSize: async (files) => getTarSize(files)
+  },
+  'tar.gz': {
+    name: 'tar.gz',
+    label: 'TAR.GZ',
+    extension: '.tar.gz',
+    mediaType: 'application/gzip',
+    createWriter: () => createTarWriter({ gzip: true }),
+    estimateSize: estimateTarGzSize
+  }
+};
+
+/**
+ * Format used when none is specified
+ */
+export const DEFAULT_ARCHIVE_FORMAT = 'zip';
+
+/**
+ * Looks up an archive format by name
+ * @param {string} name - The format name
+ * @returns {Object} - The format definition
+ */
+export const getArchiveFormat = (name = DEFAULT_ARCHIVE_FORMAT) => {
+  const format = ARCHIVE_FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown archive format: ${name}`);
+  }
+  return format;
+};
+
+/**
+ * Creates a writer for an archive format
+ * @param {string} name - The format name
+ * @param {Object} options - Writer options, e.g. { compression } for ZIP
+ * @returns {Object} - Archive writer
+ */
+export const createArchiveWriter = (name, options = {}) => getArchiveFormat(name).createWriter(options);
+
+/**
+ * Estimates the size of the archive for a file map
+ * @param {Object} files - Map of path to content
+ * @param {Object} options - { format, compression }
+ * @returns {Promise<Object>} - { totalSize, estimatedSize } in bytes
+ */
+export const estimateArchiveSize = async (files, options = {}) => {
+  const totalSize = Object.values(files).reduce((sum, content) => (
+    sum + (content instanceof Uint8Array ? content.length : byteLength(String(content)))
+  ), 0);
+  const estimatedSize = await getArchiveFormat(options.format).estimateSize(files, options);
+  return { totalSize, estimatedSize };
+};
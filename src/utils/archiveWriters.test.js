@@ -0,0 +1,58 @@
+import JSZip from 'jszip';
+import { describe, expect, it } from 'vitest';
+import { createArchiveWriter, estimateArchiveSize, getArchiveFormat } from './archiveWriters';
+import { getTarSize } from './tar';
+
+const files = { 'a/b.json': '{"x": 1}', 'c.txt': 'hello' };
+
+const fill = (writer) => {
+  Object.entries(files).forEach(([path, content]) => writer.add(path, content));
+  return writer;
+};
+
+const collect = () => {
+  const chunks = [];
+  return { writable: new WritableStream({ write: chunk => { chunks.push(chunk); } }), blob: () => new Blob(chunks) };
+};
+
+describe('createArchiveWriter', () => {
+  it('writes the same ZIP as a blob and to a stream', async () => {
+    const blob = await fill(createArchiveWriter('zip')).toBlob();
+    const { writable, blob: streamed } = collect();
+    const size = await fill(createArchiveWriter('zip')).writeTo(writable);
+
+    expect(size).toBe(streamed().size);
+    for (const archive of [blob, streamed()]) {
+      const zip = await JSZip.loadAsync(await archive.arrayBuffer());
+      expect(await zip.file('a/b.json').async('string')).toBe(files['a/b.json']);
+    }
+  });
+
+  it('writes a tar whose size is known in advance', async () => {
+    const blob = await fill(createArchiveWriter('tar')).toBlob();
+    expect(blob.size).toBe(getTarSize(files));
+  });
+
+  it('gzips the tar for tar.gz', async () => {
+    const { writable, blob } = collect();
+    await fill(createArchiveWriter('tar.gz')).writeTo(writable);
+    const tar = await new Response(blob().stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+
+    expect(tar.byteLength).toBe(getTarSize(files));
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => getArchiveFormat('rar')).toThrow('Unknown archive format: rar');
+  });
+});
+
+describe('estimateArchiveSize', () => {
+  it('counts the content and estimates the archive for each format', async () => {
+    const tar = await estimateArchiveSize(files, { format: 'tar' });
+    expect(tar).toEqual({ totalSize: 13, estimatedSize: getTarSize(files) });
+
+    const gzip = await estimateArchiveSize(files, { format: 'tar.gz' });
+    expect(gzip.estimatedSize).toBeGreaterThan(0);
+    expect(gzip.estimatedSize).toBeLessThan(getTarSize(files));
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Helpers for binary values embedded in JSON as base64, either as data URIs
+ * (`data:image/png;base64,...`) or as `{ "$base64": "...", "$type": "image/png" }` objects.
+ */
+
+/**
+ * File extensions for media types that commonly appear in data URIs
+ */
+export const MEDIA_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp',
+  'image/svg+xml': 'svg',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/gzip': 'gz',
+  'application/wasm': 'wasm',
+  'application/octet-stream': 'bin',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+  'font/ttf': 'ttf',
+  'font/otf': 'otf',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[\w.+-]+=[^;,]*)*);base64,([A-Za-z0-9+/=\s]*)$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Gets the file extension for a media type
+ * @param {string} mediaType - Media type such as image/png
+ * @returns {string} - Extension without the dot, `bin` when unknown
+ */
+export const getExtensionForMediaType = (mediaType) => {
+  return MEDIA_TYPE_EXTENSIONS[String(mediaType).toLowerCase()] || 'bin';
+};
+
+/**
+ * Gets the media type for a file extension
+ * @param {string} extension - Extension with or without the dot
+ * @returns {string} - Media type, application/octet-stream when unknown
+ */
+export const getMediaTypeForExtension = (extension) => {
+  const normalized = String(extension).replace(/^\./, '').toLowerCase();
+  const match = Object.entries(MEDIA_TYPE_EXTENSIONS).find(([, ext]) => ext === normalized);
+  return match ? match[0] : 'application/octet-stream';
+};
+
+/**
+ * Checks whether a file extension belongs to a known binary format
+ * @param {string} filename - File name or extension
+ * @returns {boolean} - True for known binary extensions other than svg
+ */
+export const isBinaryExtension = (filename) => {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return extension !== 'svg' && Object.values(MEDIA_TYPE_EXTENSIONS).includes(extension);
+};
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} base64 - Base64 text, whitespace is ignored
+ * @returns {Uint8Array|null} - Decoded bytes or null if the text is not valid base64
+ */
+export const decodeBase64 = (base64) => {
+  const compact = base64.replace(/\s+/g, '');
+  if (compact.length % 4 === 1 || !BASE64_PATTERN.test(compact)) {
+    return null;
+  }
+
+  try {
+    const binary = atob(compact);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - Base64 text
+ */
+export const encodeBase64 = (bytes) => {
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Detects a base64 encoded binary value
+ * @param {*} value - A JSON value
+ * @returns {Object|null} - { bytes, mediaType, encoding, prefix | template } or null
+ *   where encoding is `dataUri` for data URI strings and `base64` for $base64 objects
+ */
+export const detectBinaryValue = (value) => {
+  if (typeof value === 'string') {
+    if (!value.startsWith('data:')) return null;
+    const match = value.match(DATA_URI_PATTERN);
+    if (!match) return null;
+    const bytes = decodeBase64(match[3]);
+    if (!bytes) return null;
+    return {
+      bytes,
+      mediaType: match[1] || 'text/plain',
+      encoding: 'dataUri',
+      prefix: value.slice(0, value.length - match[3].length)
+    };
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.$base64 === 'string') {
+    const extraKeys = Object.keys(value).filter(key => key !== '$base64' && key !== '$type');
+    if (extraKeys.length > 0) return null;
+    const bytes = decodeBase64(value.$base64);
+    if (!bytes) return null;
+    return {
+      bytes,
+      mediaType: typeof value.$type === 'string' ? value.$type : 'application/octet-stream',
+      encoding: 'base64',
+      template: { ...value, $base64: null }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Builds a data URI for bytes
+ * @param {Uint8Array} bytes - The file contents
+ * @param {string} mediaType - The media type
+ * @returns {string} - data:<mediaType>;base64,<data>
+ */
+export const toDataUri = (bytes, mediaType) => {
+  return `data:${mediaType};base64,${encodeBase64(bytes)}`;
+};
+
+/**
+ * Checks whether bytes are valid UTF-8 text without control characters
+ * @param {Uint8Array} bytes - The bytes to inspect
+ * @returns {boolean} - True if the bytes look like text
+ */
+export const isTextContent = (bytes) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      // Tab, line feed, vertical tab, form feed and carriage return are text
+      if (code < 0x20 && (code < 0x09 || code > 0x0d)) return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { decodeBase64, detectBinaryValue, encodeBase64, getExtensionForMediaType, isTextContent, toDataUri } from './binary';
+
+const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+describe('decodeBase64', () => {
+  it('round-trips with encodeBase64 and ignores whitespace', () => {
+    const text = encodeBase64(bytes);
+    expect(decodeBase64(`${text.slice(0, 4)}\n${text.slice(4)}`)).toEqual(bytes);
+  });
+
+  it('returns null for text that is not base64', () => {
+    expect(decodeBase64('abc*')).toBeNull();
+    expect(decodeBase64('abcde')).toBeNull();
+  });
+});
+
+describe('detectBinaryValue', () => {
+  it('decodes data URIs and keeps their prefix', () => {
+    const binary = detectBinaryValue(toDataUri(bytes, 'image/png'));
+    expect(binary.bytes).toEqual(bytes);
+    expect(binary.mediaType).toBe('image/png');
+    expect(binary.encoding).toBe('dataUri');
+    expect(binary.prefix).toBe('data:image/png;base64,');
+  });
+
+  it('decodes $base64 objects with an optional $type', () => {
+    const binary = detectBinaryValue({ $base64: encodeBase64(bytes), $type: 'application/pdf' });
+    expect(binary.bytes).toEqual(bytes);
+    expect(binary.mediaType).toBe('application/pdf');
+    expect(binary.template).toEqual({ $base64: null, $type: 'application/pdf' });
+  });
+
+  it('ignores plain strings, invalid base64 and objects with other keys', () => {
+    expect(detectBinaryValue('hello')).toBeNull();
+    expect(detectBinaryValue('data:text/plain,hello')).toBeNull();
+    expect(detectBinaryValue({ $base64: 'AA==', name: 'x' })).toBeNull();
+  });
+});
+
+describe('getExtensionForMediaType', () => {
+  it('maps known media types and falls back to bin', () => {
+    expect(getExtensionForMediaType('IMAGE/JPEG')).toBe('jpg');
+    expect(getExtensionForMediaType('application/x-unknown')).toBe('bin');
+  });
+});
+
+describe('isTextContent', () => {
+  it('accepts UTF-8 text and rejects control characters and invalid UTF-8', () => {
+    expect(isTextContent(new TextEncoder().encode('line\ttab\r\né'))).toBe(true);
+    expect(isTextContent(new Uint8Array([0x61, 0x00]))).toBe(false);
+    expect(isTextContent(new Uint8Array([0xff, 0xfe]))).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Compression settings for generated archives: a default method and level
+ * plus per-extension overrides, e.g. to store files that are already compressed.
+ */
+
+import JSZip from 'jszip';
+import { byteLength } from './portability';
+
+/**
+ * Compression methods supported by the archive writers
+ */
+export const COMPRESSION_METHODS = {
+  STORE: {
+    name: 'STORE',
+    label: 'Store (no compression)'
+  },
+  DEFLATE: {
+    name: 'DEFLATE',
+    label: 'Deflate'
+  }
+};
+
+/**
+ * Extensions of formats that are already compressed
+ */
+export const PRECOMPRESSED_EXTENSIONS = 'png, jpg, jpeg, gif, webp, avif, zip, gz, woff, woff2, mp3, mp4, webm, ogg, pdf';
+
+/**
+ * Default compression settings.
+ * `overrides` are checked in order and the first rule listing the file's
+ * extension (comma-separated, without dots) wins.
+ */
+export const DEFAULT_COMPRESSION_OPTIONS = {
+  method: 'DEFLATE',
+  level: 6,
+  overrides: [
+    { extensions: PRECOMPRESSED_EXTENSIONS, method: 'STORE', level: 6 }
+  ]
+};
+
+/**
+ * Bytes of file content compressed when estimating the archive size
+ */
+const ESTIMATE_SAMPLE_BYTES = 1024 * 1024;
+
+/**
+ * Splits a comma-separated extension list
+ * @param {string} extensions - e.g. "png, .zip"
+ * @returns {Array<string>} - Lower-case extensions without dots
+ */
+const toExtensionList = (extensions) => String(extensions || '')
+  .split(',')
+  .map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Gets the compression settings for one file
+ * @param {string} path - Path of the file in the archive
+ * @param {Object} settings - Compression settings
+ * @returns {Object} - { method, level }
+ */
+export const getCompressionForPath = (path, settings = DEFAULT_COMPRESSION_OPTIONS) => {
+  const { method = 'DEFLATE', level = 6, overrides = [] } = settings;
+  const name = path.split('/').pop();
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+  const rule = extension && overrides.find(override => toExtensionList(override.extensions).includes(extension));
+  if (rule) {
+    return { method: rule.method, level: rule.level ?? level };
+  }
+  return { method, level };
+};
+
+/**
+ * Converts compression settings for one file into JSZip file options
+ * @param {string} path - Path of the file in the archive
+ * @param {Object} settings - Compression settings
+ * @returns {Object} - { compression, compressionOptions }
+ */
+export const getZipFileOptions = (path, settings) => {
+  const { method, level } = getCompressionForPath(path, settings);
+  return method === 'STORE'
+    ? { compression: 'STORE' }
+    : { compression: 'DEFLATE', compressionOptions: { level } };
+};
+
+/**
+ * Gets the size of file content in bytes
+ * @param {string|Uint8Array} content - The file content
+ * @returns {number} - Size in bytes
+ */
+const getSize = (content) => (content instanceof Uint8Array ? content.length : byteLength(String(content)));
+
+/**
+ * Estimates the size of the ZIP file for a file map. Stored files and ZIP
+ * headers are counted exactly; the deflate ratio is measured by compressing a
+ * sample of up to 1 MB of the deflated files with the chosen levels.
+ * @param {Object} files - Map of path to content
+ * @param {Object} settings - Compression settings
+ * @returns {Promise<Object>} - { totalSize, estimatedSize } in bytes
+ */
+export const estimateZipSize = async (files, settings = DEFAULT_COMPRESSION_OPTIONS) => {
+  const folders = new Set();
+  const deflated = [];
+  let totalSize = 0;
+  let storedSize = 0;
+  let deflatedSize = 0;
+  // End of central directory record
+  let overhead = 22;
+
+  Object.entries(files).forEach(([path, content]) => {
+    const size = getSize(content);
+    totalSize += size;
+    // Local file header and central directory entry, each followed by the name
+    overhead += 76 + 2 * byteLength(path);
+
+    const segments = path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      folders.add(`${segments.slice(0, i).join('/')}/`);
+    }
+
+    if (getCompressionForPath(path, settings).method === 'STORE') {
+      storedSize += size;
+    } else {
+      deflatedSize += size;
+      deflated.push({ path, content, size });
+    }
+  });
+
+  folders.forEach(folder => {
+    overhead += 76 + 2 * byteLength(folder);
+  });
+
+  let ratio = 1;
+  if (deflatedSize > 0) {
+    const stride = Math.max(1, Math.ceil(deflatedSize / ESTIMATE_SAMPLE_BYTES));
+    const sample = new JSZip();
+    let sampleSize = 0;
+    let sampleCount = 0;
+
+    deflated.forEach(({ path, content, size }, index) => {
+      if (index % stride !== 0 || sampleSize >= ESTIMATE_SAMPLE_BYTES) return;
+      sample.file(`${sampleCount++}`, content, { createFolders: false, ...getZipFileOptions(path, settings) });
+      sampleSize += size;
+    });
+
+    if (sampleSize > 0) {
+      const archive = await sample.generateAsync({ type: 'uint8array' });
+      let sampleOverhead = 22;
+      for (let i = 0; i < sampleCount; i++) {
+        sampleOverhead += 76 + 2 * byteLength(String(i));
+      }
+      ratio = Math.max(0, archive.length - sampleOverhead) / sampleSize;
+    }
+  }
+
+  return {
+    totalSize,
+    estimatedSize: Math.round(overhead + storedSize + deflatedSize * ratio)
+  };
+};
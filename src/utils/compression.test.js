@@ -0,0 +1,49 @@
+import JSZip from 'jszip';
+import { describe, expect, it } from 'vitest';
+import { estimateZipSize, getCompressionForPath, getZipFileOptions } from './compression';
+
+const settings = {
+  method: 'DEFLATE',
+  level: 9,
+  overrides: [
+    { extensions: 'png, .ZIP', method: 'STORE', level: 9 },
+    { extensions: 'zip, txt', method: 'DEFLATE', level: 1 }
+  ]
+};
+
+describe('getCompressionForPath', () => {
+  it('uses the first override listing the extension', () => {
+    expect(getCompressionForPath('a/b.PNG', settings)).toEqual({ method: 'STORE', level: 9 });
+    expect(getCompressionForPath('c.zip', settings)).toEqual({ method: 'STORE', level: 9 });
+    expect(getCompressionForPath('d.txt', settings)).toEqual({ method: 'DEFLATE', level: 1 });
+  });
+
+  it('falls back to the default method for other files and files without an extension', () => {
+    expect(getCompressionForPath('e.json', settings)).toEqual({ method: 'DEFLATE', level: 9 });
+    expect(getCompressionForPath('png', settings)).toEqual({ method: 'DEFLATE', level: 9 });
+  });
+});
+
+describe('getZipFileOptions', () => {
+  it('passes the level only for deflated files', () => {
+    expect(getZipFileOptions('a.png', settings)).toEqual({ compression: 'STORE' });
+    expect(getZipFileOptions('a.json', settings)).toEqual({ compression: 'DEFLATE', compressionOptions: { level: 9 } });
+  });
+});
+
+describe('estimateZipSize', () => {
+  it('counts stored files exactly and stays close to the real size', async () => {
+    const files = {
+      'data/a.json': JSON.stringify({ text: 'x'.repeat(5000) }),
+      'data/b.json': JSON.stringify({ list: Array.from({ length: 200 }, (_, i) => i) }),
+      'logo.png': new Uint8Array(300).map((_, i) => (i * 37) % 256)
+    };
+    const zip = new JSZip();
+    Object.entries(files).forEach(([path, content]) => zip.file(path, content, getZipFileOptions(path, settings)));
+    const actual = (await zip.generateAsync({ type: 'uint8array' })).length;
+
+    const { totalSize, estimatedSize } = await estimateZipSize(files, settings);
+    expect(totalSize).toBe(files['data/a.json'].length + files['data/b.json'].length + 300);
+    expect(Math.abs(estimatedSize - actual) / actual).toBeLessThan(0.1);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Main-thread client for the conversion worker. Requests are matched to
+ * responses by id; cancelling a request terminates the worker so that long
+ * synchronous work stops immediately, and the next request starts a new one.
+ * Tasks writing to a file handle are asked to stop instead, so they can abort
+ * their writable before the request is rejected.
+ */
+
+import { createAbortError, runConversionTask } from './conversionTasks';
+import { LayoutError } from './fileLayout';
+
+/**
+ * Rebuilds an error that was serialized by the worker
+ * @param {Object} error - { name, message, issues }
+ * @returns {Error} - The error instance
+ */
+const deserializeError = ({ name, message, issues }) => {
+  if (name === 'LayoutError') {
+    return new LayoutError(message, issues || []);
+  }
+  if (name === 'AbortError') {
+    return createAbortError();
+  }
+  return new Error(message);
+};
+
+// How long a task writing to a file gets to abort its writable after a cancel
+// before its worker is terminated anyway
+export const CANCEL_TIMEOUT_MS = 2000;
+
+/**
+ * Creates a conversion client
+ * @returns {Object} - { run(type, payload, { signal, onProgress }), dispose() }
+ */
+export const createConversionClient = () => {
+  const pending = new Map();
+  let worker = null;
+  let nextId = 0;
+
+  // Terminates a worker and rejects the requests it was running
+  const stopWorker = (target, error) => {
+    target.terminate();
+    if (target === worker) worker = null;
+    pending.forEach((request, id) => {
+      if (request.worker !== target) return;
+      pending.delete(id);
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+  };
+
+  const getWorker = () => {
+    if (worker) return worker;
+
+    const created = new Worker(new URL('../workers/conversion.worker.js', import.meta.url), { type: 'module' });
+    created.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+
+      if (request.cancelled) {
+        // The task has stopped and let go of its file
+        if (data.type !== 'progress') stopWorker(created, createAbortError());
+      } else if (data.type === 'progress') {
+        request.onProgress(data.progress);
+      } else if (data.type === 'result') {
+        pending.delete(data.id);
+        request.resolve(data.result);
+      } else if (data.type === 'error') {
+        pending.delete(data.id);
+        request.reject(deserializeError(data.error));
+      }
+    };
+    created.onerror = (event) => {
+      event.preventDefault();
+      stopWorker(created, new Error(event.message || 'Conversion worker failed'));
+    };
+    worker = created;
+    return created;
+  };
+
+  const runInline = (type, payload, { signal, onProgress }) => {
+    return runConversionTask(type, payload, {
+      onProgress,
+      throwIfCancelled: () => {
+        if (signal && signal.aborted) throw createAbortError();
+      }
+    });
+  };
+
+  const run = (type, payload, { signal, onProgress = () => {} } = {}) => {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+    if (typeof Worker === 'undefined') {
+      return runInline(type, payload, { signal, onProgress });
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      const target = getWorker();
+      const request = { resolve, reject, onProgress, worker: target };
+      pending.set(id, request);
+      target.postMessage({ id, type, payload });
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (!pending.has(id)) return;
+          if (!payload || !payload.fileHandle) {
+            // The worker may be busy in synchronous code, so stop it outright.
+            stopWorker(target, createAbortError());
+            return;
+          }
+          // Terminating a worker that is writing to a file would leave its
+          // writable open, so the task is asked to abort it first. The request
+          // settles once the task has stopped; later requests get a new worker.
+          if (target === worker) worker = null;
+          request.cancelled = true;
+          target.postMessage({ id, type: 'cancel' });
+          request.timer = setTimeout(() => stopWorker(target, createAbortError()), CANCEL_TIMEOUT_MS);
+        }, { once: true });
+      }
+    });
+  };
+
+  const dispose = () => {
+    const workers = new Set([worker, ...Array.from(pending.values(), request => request.worker)]);
+    workers.forEach(target => target && stopWorker(target, createAbortError()));
+  };
+
+  return { run, dispose };
+};
@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CANCEL_TIMEOUT_MS, createConversionClient } from './conversionClient';
+
+// Stands in for the conversion worker: records messages and lets the test reply
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  FakeWorker.instances = [];
+});
+
+describe('createConversionClient', () => {
+  it('runs tasks inline where workers are unavailable', async () => {
+    const client = createConversionClient();
+    const result = await client.run('preview', { source: '{"a": 1}', options: {} });
+    expect(result.fileCount).toBe(1);
+  });
+
+  it('rejects requests whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(createConversionClient().run('preview', {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('matches worker replies by id and forwards progress', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const client = createConversionClient();
+    const onProgress = vi.fn();
+    const promise = client.run('preview', { source: '{}' }, { onProgress });
+    const [worker] = FakeWorker.instances;
+    const { id } = worker.messages[0];
+
+    worker.reply({ id, type: 'progress', progress: { phase: 'parse', percent: 0 } });
+    worker.reply({ id, type: 'result', result: 'done' });
+
+    await expect(promise).resolves.toBe('done');
+    expect(onProgress).toHaveBeenCalledWith({ phase: 'parse', percent: 0 });
+  });
+
+  it('rebuilds layout errors sent by the worker', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const promise = createConversionClient().run('preview', {});
+    const [worker] = FakeWorker.instances;
+
+    worker.reply({ id: worker.messages[0].id, type: 'error', error: { name: 'LayoutError', message: 'bad', issues: [{ source: '$' }] } });
+    await expect(promise).rejects.toMatchObject({ name: 'LayoutError', message: 'bad', issues: [{ source: '$' }] });
+  });
+
+  it('terminates the worker on cancel and starts a new one for the next request', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const client = createConversionClient();
+    const controller = new AbortController();
+    const promise = client.run('archive', {}, { signal: controller.signal });
+
+    controller.abort();
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+
+    client.run('preview', {});
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+
+  it('asks tasks writing to a file to stop and settles once they have', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const client = createConversionClient();
+    const controller = new AbortController();
+    const promise = client.run('archive', { fileHandle: {} }, { signal: controller.signal });
+    const [worker] = FakeWorker.instances;
+    const { id } = worker.messages[0];
+
+    controller.abort();
+    expect(worker.messages[1]).toEqual({ id, type: 'cancel' });
+    expect(worker.terminated).toBe(false);
+
+    client.run('preview', {});
+    expect(FakeWorker.instances).toHaveLength(2);
+
+    worker.reply({ id, type: 'error', error: { name: 'AbortError', message: 'Conversion cancelled' } });
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminated).toBe(true);
+    expect(FakeWorker.instances[1].terminated).toBe(false);
+  });
+
+  it('terminates a file-writing task that does not stop in time', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('Worker', FakeWorker);
+    const controller = new AbortController();
+    const promise = createConversionClient().run('archive', { fileHandle: {} }, { signal: controller.signal });
+
+    controller.abort();
+    vi.advanceTimersByTime(CANCEL_TIMEOUT_MS);
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Conversion tasks run by the conversion worker. They are plain async functions
+ * so they can also run on the main thread where workers are unavailable.
+ */
+
+import { createArchiveWriter, estimateArchiveSize } from './archiveWriters';
+import { convertFileMapToZip, convertFilesToJSON, convertZipToJSON, createHierarchicalTree, streamFileMapToZip } from './converters';
+import { createLayoutBuilder, sanitizeFilename } from './fileLayout';
+import { exportToDirectory } from './folderExport';
+import { readFolderEntries } from './folderImport';
+import { combineDocuments, getDocumentKeys, getDocumentName } from './inputFiles';
+import { AUTO_INPUT_FORMAT, DEFAULT_INPUT_FORMAT, DEFAULT_INPUT_OPTIONS, INPUT_FORMATS, getFormatForFilename, parseInput } from './inputFormats';
+import { createJSONLinesParser } from './jsonLines';
+import { assertFileSize, createJSONStreamParser, parseJSONBlob } from './jsonStream';
+import { getPortabilityProfile, makePortableName } from './portability';
+
+/**
+ * Error thrown when a task is cancelled
+ * @returns {Error} - An AbortError
+ */
+export const createAbortError = () => {
+  const error = new Error('Conversion cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Reads and parses the input of a task. Strict JSON and JSON Lines files are
+ * parsed in chunks and report `{ phase: 'parse', loaded, total, percent }` as
+ * bytes are read; other formats are parsed from the whole text.
+ * @param {string|Blob} source - Input text or a file holding it
+ * @param {Object} context - { onProgress, throwIfCancelled, onWarning, onMember, onRestart }
+ *   where onWarning receives the { line, message } parts of the input that were
+ *   skipped, onMember, when given, receives the top-level members of chunked
+ *   files as they are parsed, and onRestart is called when members were handed
+ *   on before the file turned out to need another parser
+ * @param {Object} options - { input } where input holds the parseInput options;
+ *   `input.filename` names text sources so their format can be detected
+ * @returns {Promise<*>} - The parsed data, or its empty top-level container
+ *   when its members were handed to onMember
+ */
+const readSource = async (source, context, options = {}) => {
+  const { onProgress, throwIfCancelled, onWarning = () => {}, onMember, onRestart = () => {} } = context;
+  const { input = DEFAULT_INPUT_OPTIONS } = options;
+  const { format = DEFAULT_INPUT_FORMAT } = input;
+  const filename = typeof source === 'string' ? input.filename : source.name;
+  const fileFormat = format === AUTO_INPUT_FORMAT ? getFormatForFilename(filename) : format;
+
+  const reportProgress = ({ loaded, total }) => {
+    throwIfCancelled();
+    onProgress({ phase: 'parse', loaded, total, percent: total ? (loaded / total) * 100 : 100 });
+  };
+
+  if (typeof source !== 'string' && fileFormat === 'ndjson') {
+    const parser = createJSONLinesParser({ nameField: input.jsonLinesNameField, onWarning, onMember });
+    try {
+      return await parseJSONBlob(source, { parser, onProgress: reportProgress });
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      throw new Error(`Invalid ${INPUT_FORMATS.ndjson.label} format: ${error.message}`);
+    }
+  }
+
+  const detectsJSON = format === AUTO_INPUT_FORMAT && [null, 'json'].includes(fileFormat);
+  if (typeof source !== 'string' && (format === 'json' || detectsJSON)) {
+    try {
+      return await parseJSONBlob(source, { parser: createJSONStreamParser({ onMember }), onProgress: reportProgress });
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      if (format === 'json') throw new Error(`Invalid JSON format: ${error.message}`);
+      // Not strict JSON, so try the other formats on the whole text
+      onRestart();
+    }
+  }
+
+  onProgress({ phase: 'parse', percent: 0 });
+  if (typeof source !== 'string') assertFileSize(source);
+  const text = typeof source === 'string' ? source : await source.text();
+  throwIfCancelled();
+  try {
+    const { data, warnings } = parseInput(text, { ...input, filename });
+    warnings.forEach(onWarning);
+    return data;
+  } catch (error) {
+    throw new Error(error.message);
+  }
+};
+
+/**
+ * Reads the input of a task and lays it out as files. Chunked files are laid
+ * out member by member as the parser completes them, so the parsed document is
+ * never held whole.
+ * @param {string|Blob} source - Input text or a file holding it
+ * @param {Object} context - As for readSource
+ * @param {Object} options - Layout options, plus { input } as for readSource
+ * @returns {Promise<Object>} - { files, renames } as from buildLayout
+ */
+const readLayout = async (source, context, options = {}) => {
+  let layout = createLayoutBuilder(options);
+  const data = await readSource(source, {
+    ...context,
+    onMember: (key, value) => layout.addMember(key, value),
+    onRestart: () => {
+      layout = createLayoutBuilder(options);
+    }
+  }, options);
+  return layout.finish(data);
+};
+
+/**
+ * Reads several input files for combineDocuments. Errors name the failing file.
+ * @param {Array<File>} sources - The files
+ * @param {Object} context - { onProgress, throwIfCancelled }
+ * @param {Object} options - { input }
+ * @returns {Promise<Array<Object>>} - { name, data } for each file
+ */
+const readDocuments = async (sources, { onProgress, throwIfCancelled }, options) => {
+  const documents = [];
+
+  for (const file of sources) {
+    try {
+      const data = await readSource(file, {
+        throwIfCancelled,
+        onProgress: (update) => onProgress({ ...update, currentFile: file.name })
+      }, options);
+      documents.push({ name: file.name, data });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+    throwIfCancelled();
+  }
+
+  return documents;
+};
+
+/**
+ * Task handlers keyed by task type. Each receives the request payload and a
+ * context with `onProgress({ phase, percent, currentFile })` and `throwIfCancelled()`.
+ */
+export const CONVERSION_TASKS = {
+  preview: async ({ source, options }, context) => {
+    const { onProgress, throwIfCancelled } = context;
+    const warnings = [];
+    const { files, renames } = await readLayout(source, { ...context, onWarning: (warning) => warnings.push(warning) }, options);
+    throwIfCancelled();
+    onProgress({ phase: 'layout', percent: 50 });
+
+    onProgress({ phase: 'tree', percent: 70 });
+    const tree = createHierarchicalTree(files, { includeContent: false });
+    throwIfCancelled();
+
+    onProgress({ phase: 'estimate', percent: 85 });
+    const { totalSize, estimatedSize } = await estimateArchiveSize(files, options);
+
+    return {
+      tree,
+      renames,
+      warnings,
+      fileCount: Object.keys(files).length,
+      totalSize,
+      estimatedSize
+    };
+  },
+
+  archive: async ({ source, options, fileHandle }, context) => {
+    const { onProgress, throwIfCancelled } = context;
+    const { files } = await readLayout(source, context, options);
+    throwIfCancelled();
+
+    const reportProgress = ({ percent, currentFile }) => {
+      onProgress({ phase: 'compress', percent, currentFile });
+    };
+
+    // With a file handle the archive is streamed to disk and the byte count
+    // returned. Cancelling between chunks aborts the writable, which releases the file
+    if (fileHandle) {
+      const writable = await fileHandle.createWritable();
+      return streamFileMapToZip(files, writable, options, (update) => {
+        throwIfCancelled();
+        reportProgress(update);
+      });
+    }
+    return convertFileMapToZip(files, options, reportProgress);
+  },
+
+  folder: async ({ source, options, directoryHandle, policy }, context) => {
+    const { onProgress, throwIfCancelled } = context;
+    const { files } = await readLayout(source, context, options);
+    throwIfCancelled();
+
+    return exportToDirectory(files, directoryHandle, {
+      policy,
+      onUpdate: ({ percent, currentFile }) => {
+        throwIfCancelled();
+        onProgress({ phase: 'write', percent, currentFile });
+      }
+    });
+  },
+
+  // Parses several files and returns the combined document as JSON text
+  combine: async ({ sources, mode, options }, context) => {
+    const documents = await readDocuments(sources, context, options);
+    return JSON.stringify(combineDocuments(documents, mode), null, 2);
+  },
+
+  // One archive with each file's tree in its own top-level folder. Every file
+  // is laid out and compressed with the options it was converted with.
+  batchArchive: async ({ items, format }, context) => {
+    const { onProgress, throwIfCancelled } = context;
+    const writer = createArchiveWriter(format);
+    const folders = getDocumentKeys(items.map(({ source }) => source.name), (filename, index) => (
+      makePortableName(sanitizeFilename(getDocumentName(filename)), getPortabilityProfile(items[index].options.portability))
+    ));
+
+    for (let index = 0; index < items.length; index++) {
+      const { source, options } = items[index];
+      const folder = folders[index];
+      try {
+        const { files } = await readLayout(source, {
+          throwIfCancelled,
+          onProgress: (update) => onProgress({ ...update, currentFile: source.name })
+        }, { ...options, basePath: folder });
+        Object.entries(files).forEach(([path, content]) => {
+          writer.add(path, content, options.compression);
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`${source.name}: ${error.message}`);
+      }
+      throwIfCancelled();
+    }
+
+    return writer.toBlob(({ percent, currentFile }) => {
+      onProgress({ phase: 'compress', percent, currentFile });
+    });
+  },
+
+  import: async ({ source, options }, { onProgress }) => {
+    onProgress({ phase: 'extract', percent: 0 });
+    const data = await convertZipToJSON(source, options);
+    return JSON.stringify(data, null, 2);
+  },
+
+  // Returns the JSON text and the files left out for being too large
+  folderImport: async ({ entries, options }, { onProgress, throwIfCancelled }) => {
+    const { files, skipped } = await readFolderEntries(entries, {
+      ...options,
+      onUpdate: ({ percent, currentFile }) => {
+        throwIfCancelled();
+        onProgress({ phase: 'read', percent, currentFile });
+      }
+    });
+    throwIfCancelled();
+
+    onProgress({ phase: 'layout', percent: 100 });
+    const data = await convertFilesToJSON(files, options);
+    return { json: JSON.stringify(data, null, 2), skipped };
+  }
+};
+
+/**
+ * Runs a conversion task
+ * @param {string} type - Key of CONVERSION_TASKS
+ * @param {Object} payload - Task input
+ * @param {Object} context - { onProgress, throwIfCancelled }
+ * @returns {Promise<*>} - The task result
+ */
+export const runConversionTask = (type, payload, context) => {
+  const task = CONVERSION_TASKS[type];
+  if (!task) {
+    return Promise.reject(new Error(`Unknown conversion task: ${type}`));
+  }
+  return task(payload, context);
+};
@@ -0,0 +1,138 @@
+import JSZip from 'jszip';
+import { describe, expect, it, vi } from 'vitest';
+import { runConversionTask } from './conversionTasks';
+import { MAX_STREAM_BYTES } from './jsonStream';
+
+const context = (updates = []) => ({
+  onProgress: update => updates.push(update),
+  throwIfCancelled: () => {}
+});
+
+describe('runConversionTask', () => {
+  it('previews the tree and renames of a JSON document', async () => {
+    const updates = [];
+    const result = await runConversionTask('preview', { source: '{"a:b": 1, "a?b": 2, "c": {"d": "x"}}', options: {} }, context(updates));
+
+    expect(result.fileCount).toBe(3);
+    expect(result.tree.map(({ name }) => name)).toEqual(['a_b.json', 'a_b_1.json', 'c']);
+    expect(result.renames).toHaveLength(1);
+    expect(result.totalSize).toBe(1 + 1 + 1);
+    expect(result.estimatedSize).toBeGreaterThan(result.totalSize);
+    expect(updates.map(({ phase }) => phase)).toEqual(['parse', 'layout', 'tree', 'estimate']);
+  });
+
+  it('reads Blob sources and round-trips them through archive and import', async () => {
+    const source = new Blob([JSON.stringify({ a: 1, b: ['x'] })]);
+    const archive = await runConversionTask('archive', { source, options: { manifest: true } }, context());
+    const text = await runConversionTask('import', { source: archive, options: {} }, context());
+
+    expect(JSON.parse(text)).toEqual({ a: 1, b: ['x'] });
+  });
+
+  it('parses files in chunks and reports the bytes read', async () => {
+    const source = new Blob(['{"a": [1, 2, 3]}']);
+    const updates = [];
+    await runConversionTask('preview', { source, options: {} }, context(updates));
+
+    const parse = updates.filter(({ phase }) => phase === 'parse');
+    expect(parse[parse.length - 1]).toEqual({ phase: 'parse', loaded: source.size, total: source.size, percent: 100 });
+    await expect(runConversionTask('preview', { source: new Blob(['[1 2]']), options: { input: { format: 'json' } } }, context())).rejects.toThrow(/^Invalid JSON format: /);
+  });
+
+  it('lays out a file again from scratch when it turns out not to be strict JSON', async () => {
+    const source = new File(['{"a": 1, // note\n"b": 2}'], 'config.json');
+    const result = await runConversionTask('preview', { source, options: {} }, context());
+
+    expect(result.tree.map(({ name }) => name)).toEqual(['a.json', 'b.json']);
+    expect(result.renames).toEqual([]);
+  });
+
+  it('checks the size limit before reading other formats as text', async () => {
+    const source = { name: 'big.yaml', size: MAX_STREAM_BYTES + 1, text: vi.fn() };
+    await expect(runConversionTask('preview', { source, options: {} }, context())).rejects.toThrow(/over the .* limit/);
+    expect(source.text).not.toHaveBeenCalled();
+  });
+
+  it('streams the archive to a file handle and returns the bytes written', async () => {
+    const chunks = [];
+    const fileHandle = { createWritable: async () => new WritableStream({ write: chunk => { chunks.push(chunk); } }) };
+    const size = await runConversionTask('archive', { source: '{"a": 1}', options: {}, fileHandle }, context());
+
+    expect(size).toBe(new Blob(chunks).size);
+    expect(size).toBeGreaterThan(0);
+  });
+
+  it('aborts the writable when a streamed archive is cancelled', async () => {
+    const abort = vi.fn();
+    let isWriting = false;
+    const fileHandle = {
+      createWritable: async () => {
+        isWriting = true;
+        return new WritableStream({ write: () => {}, abort });
+      }
+    };
+    const cancelled = {
+      onProgress: () => {},
+      throwIfCancelled: () => {
+        if (isWriting) throw Object.assign(new Error('Conversion cancelled'), { name: 'AbortError' });
+      }
+    };
+
+    for (const format of ['zip', 'tar']) {
+      isWriting = false;
+      await expect(runConversionTask('archive', { source: '{"a": 1, "b": 2}', options: { format }, fileHandle }, cancelled))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    }
+    expect(abort).toHaveBeenCalledTimes(2);
+  });
+
+  it('builds the archive format chosen in the options', async () => {
+    const archive = await runConversionTask('archive', { source: '{"a": 1}', options: { format: 'tar' } }, context());
+    const header = new TextDecoder().decode(new Uint8Array(await archive.arrayBuffer()).subarray(0, 6));
+
+    expect(header).toBe('a.json');
+    expect(archive.size % 512).toBe(0);
+  });
+
+  it('combines several files and names the one that fails to parse', async () => {
+    const sources = [
+      new File(['{"a": 1}'], 'one.json'),
+      new File(['{"b": 2}'], 'two.json')
+    ];
+    const updates = [];
+    const text = await runConversionTask('combine', { sources, mode: 'folders' }, context(updates));
+
+    expect(JSON.parse(text)).toEqual({ one: { a: 1 }, two: { b: 2 } });
+    expect(new Set(updates.map(({ currentFile }) => currentFile))).toEqual(new Set(['one.json', 'two.json']));
+    await expect(runConversionTask('combine', { sources: [new File(['{'], 'bad.json')], mode: 'merge' }, context()))
+      .rejects.toThrow(/^bad\.json: Invalid JSON format: /);
+  });
+
+  it('builds one archive with a folder per batch file, each laid out with its own options', async () => {
+    const items = [
+      { source: new File(['{"a": 1}'], 'one.json'), options: { strategy: 'typed' } },
+      { source: new File(['{"a": 1}'], 'One.json'), options: { strategy: 'text' } }
+    ];
+    const archive = await runConversionTask('batchArchive', { items, format: 'zip' }, context());
+    const zip = await JSZip.loadAsync(archive);
+
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual(['One_1/a.txt', 'one/a.json']);
+    const bad = [{ source: new File(['{'], 'bad.json'), options: { input: { format: 'json' } } }];
+    await expect(runConversionTask('batchArchive', { items: bad, format: 'zip' }, context())).rejects.toThrow(/^bad\.json: /);
+  });
+
+  it('rejects invalid JSON and unknown tasks', async () => {
+    await expect(runConversionTask('preview', { source: '{', options: {} }, context())).rejects.toThrow('Invalid JSON format');
+    await expect(runConversionTask('print', {}, context())).rejects.toThrow('Unknown conversion task: print');
+  });
+
+  it('stops at the first cancellation check', async () => {
+    const cancelled = {
+      onProgress: () => {},
+      throwIfCancelled: () => {
+        throw Object.assign(new Error('Conversion cancelled'), { name: 'AbortError' });
+      }
+    };
+    await expect(runConversionTask('preview', { source: '{}', options: {} }, cancelled)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
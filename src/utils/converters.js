@@ -1,14 +1,21 @@
+import JSZip from 'jszip';
+import { ARCHIVE_FORMATS, createArchiveWriter, getArchiveFormat } from './archiveWriters';
+import { encodeBase64, getMediaTypeForExtension, isBinaryExtension, isTextContent, toDataUri } from './binary';
+import { buildFileMap, getLayoutStrategy, LayoutError, MANIFEST_FILENAME, MANIFEST_VERSION } from './fileLayout';
+import { parseInput } from './inputFormats';
+import { getUnsafeEntryReason, getUnsafePathReason } from './pathSafety';
 
 /**
  * Validates if a string is valid JSON
  * @param {string} jsonString - The JSON string to validate
+ * @param {string} format - 'json', 'jsonc', 'json5' or 'auto', see parseInput
  * @returns {boolean} - True if valid JSON, false otherwise
  */
-export const isValidJSON = (jsonString) => {
+export const isValidJSON = (jsonString, format = 'json') => {
   try {
-    JSON.parse(jsonString);
+    parseInput(jsonString, { format });
     return true;
-  } catch (error) {
+  } catch {
     return false;
   }
 };
@@ -16,75 +23,50 @@ export const isValidJSON = (jsonString) => {
 /**
  * Parses JSON string and returns the parsed object
  * @param {string} jsonString - The JSON string to parse
+ * @param {string} format - 'json', 'jsonc', 'json5' or 'auto', see parseInput
  * @returns {Object|null} - Parsed JSON object or null if invalid
  */
-export const parseJSON = (jsonString) => {
+export const parseJSON = (jsonString, format = 'json') => {
   try {
-    return JSON.parse(jsonString);
+    return parseInput(jsonString, { format }).data;
   } catch (error) {
     console.error('Error parsing JSON:', error);
     return null;
   }
 };
 
-/**
- * Sanitizes filename to be safe for file systems
- * @param {string} filename - The filename to sanitize
- * @returns {string} - Sanitized filename
- */
-export const sanitizeFilename = (filename) => {
-  return filename
-    .replace(/[<>:"/\\|?*]/g, '_')
-    .replace(/\s+/g, '_')
-    .replace(/_{2,}/g, '_')
-    .trim();
-};
+export { sanitizeFilename, MANIFEST_FILENAME } from './fileLayout';
 
 /**
  * Creates a file tree structure from JSON data
  * @param {Object} data - The JSON data to convert
  * @param {string} basePath - Base path for the files
+ * @param {Object} options - Layout options, see buildFileMap
  * @returns {Object} - File tree structure
  */
-export const createFileTree = (data, basePath = '') => {
-  const fileTree = {};
-  
-  const processNode = (obj, currentPath) => {
-    if (Array.isArray(obj)) {
-      obj.forEach((item, index) => {
-        const itemPath = `${currentPath}/item_${index}`;
-        if (typeof item === 'object' && item !== null) {
-          processNode(item, itemPath);
-        } else {
-          fileTree[`${itemPath}.txt`] = String(item);
-        }
-      });
-    } else if (typeof obj === 'object' && obj !== null) {
-      Object.entries(obj).forEach(([key, value]) => {
-        const sanitizedKey = sanitizeFilename(key);
-        const newPath = currentPath ? `${currentPath}/${sanitizedKey}` : sanitizedKey;
-        
-        if (typeof value === 'object' && value !== null) {
-          processNode(value, newPath);
-        } else {
-          fileTree[`${newPath}.txt`] = String(value);
-        }
-      });
-    } else {
-      fileTree[`${currentPath || 'data'}.txt`] = String(obj);
-    }
-  };
+export const createFileTree = (data, basePath = '', options = {}) => {
+  return buildFileMap(data, { ...options, basePath });
+};
 
-  processNode(data, basePath);
-  return fileTree;
+/**
+ * Gets the size in bytes of file content
+ * @param {string|Uint8Array} content - Text or binary content
+ * @returns {number} - Size in bytes
+ */
+export const getContentSize = (content) => {
+  if (content instanceof Uint8Array) return content.length;
+  return new TextEncoder().encode(String(content)).length;
 };
 
 /**
  * Creates a hierarchical file tree structure for display
  * @param {Object} fileTree - Flat file tree object
+ * @param {Object} options - Tree options
+ * @param {boolean} options.includeContent - Keep file contents on the nodes (default true)
  * @returns {Array} - Hierarchical tree structure
  */
-export const createHierarchicalTree = (fileTree) => {
+export const createHierarchicalTree = (fileTree, options = {}) => {
+  const { includeContent = true } = options;
   const tree = [];
   const pathMap = new Map();
 
@@ -97,15 +79,18 @@ export const createHierarchicalTree = (fileTree) => {
       currentPath = currentPath ? `${currentPath}/${part}` : part;
       const isFile = index === parts.length - 1;
       
-      let existingNode = currentLevel.find(node => node.name === part);
+      let existingNode = pathMap.get(currentPath);
       
       if (!existingNode) {
+        const content = isFile ? fileTree[filePath] : undefined;
         existingNode = {
           name: part,
           path: currentPath,
           type: isFile ? 'file' : 'folder',
           children: isFile ? undefined : [],
-          content: isFile ? fileTree[filePath] : undefined
+          content: includeContent ? content : undefined,
+          binary: content instanceof Uint8Array,
+          size: isFile ? getContentSize(content) : undefined
         };
         currentLevel.push(existingNode);
         pathMap.set(currentPath, existingNode);
@@ -121,35 +106,415 @@ export const createHierarchicalTree = (fileTree) => {
 };
 
 /**
- * Converts JSON to ZIP file
+ * Builds an archive writer holding the files of a file map
+ * @param {Object} files - Map of file paths to contents, as from createFileTree
+ * @param {Object} options - The archive `format` ('zip', 'tar' or 'tar.gz') and ZIP `compression` settings
+ * @returns {Object} - Archive writer (see archiveWriters)
+ */
+const createArchive = (files, options) => {
+  const writer = createArchiveWriter(options.format, options);
+
+  Object.entries(files).forEach(([filePath, content]) => {
+    writer.add(filePath, content);
+  });
+
+  return writer;
+};
+
+/**
+ * Packs a file map into a ZIP file, or into a tarball when `options.format` says so
+ * @param {Object} files - Map of file paths to contents, as from createFileTree
+ * @param {Object} options - `format` and `compression`
+ * @param {Function} onUpdate - Called with { percent, currentFile } while compressing
+ * @returns {Promise<Blob>} - Promise that resolves to the archive blob
+ */
+export const convertFileMapToZip = async (files, options = {}, onUpdate) => {
+  const format = getArchiveFormat(options.format);
+  try {
+    return await createArchive(files, options).toBlob(onUpdate);
+  } catch (error) {
+    console.error(`Error creating ${format.label} file:`, error);
+    throw new Error(`Failed to create ${format.label} file`);
+  }
+};
+
+/**
+ * Converts JSON to ZIP file, or to a tarball when `options.format` says so
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} zipName - Name for the ZIP file
+ * @param {Object} options - Conversion options passed to createFileTree, plus `format` and `compression`
+ * @param {Function} onUpdate - Called with { percent, currentFile } while compressing
  * @returns {Promise<Blob>} - Promise that resolves to ZIP file blob
  */
-export const convertJSONToZip = async (jsonData, zipName = 'converted_files') => {
+export const convertJSONToZip = async (jsonData, zipName = 'converted_files', options = {}, onUpdate) => {
+  return convertFileMapToZip(createFileTree(jsonData, '', options), options, onUpdate);
+};
+
+/**
+ * Writes a file map as an archive chunk by chunk to a stream, so the finished
+ * archive is never held in memory
+ * @param {Object} files - Map of file paths to contents, as from createFileTree
+ * @param {WritableStream} writable - Destination, e.g. a File System Access writable
+ * @param {Object} options - `format` and `compression`
+ * @param {Function} onUpdate - Called with { percent, currentFile } as chunks are written;
+ *   an error it throws aborts the writable and is rethrown as is when it is an AbortError
+ * @returns {Promise<number>} - Resolves to the number of bytes written once the stream is closed
+ */
+export const streamFileMapToZip = async (files, writable, options = {}, onUpdate = () => {}) => {
+  const format = getArchiveFormat(options.format);
+  const writer = createArchive(files, options);
+
   try {
-    const zip = new JSZip();
-    const fileTree = createFileTree(jsonData);
-    
-    // Add files to ZIP
-    Object.entries(fileTree).forEach(([filePath, content]) => {
-      zip.file(filePath, content);
+    return await writer.writeTo(writable, onUpdate);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error(`Error writing ${format.label} file:`, error);
+    throw new Error(`Failed to write ${format.label} file`);
+  }
+};
+
+/**
+ * Converts JSON to an archive written chunk by chunk to a stream, so the
+ * finished archive is never held in memory
+ * @param {Object} jsonData - The JSON data to convert
+ * @param {WritableStream} writable - Destination, e.g. a File System Access writable
+ * @param {Object} options - Conversion options passed to createFileTree, plus `format` and `compression`
+ * @param {Function} onUpdate - Called with { percent, currentFile } as chunks are written
+ * @returns {Promise<number>} - Resolves to the number of bytes written once the stream is closed
+ */
+export const streamJSONToZip = async (jsonData, writable, options = {}, onUpdate = () => {}) => {
+  return streamFileMapToZip(createFileTree(jsonData, '', options), writable, options, onUpdate);
+};
+
+/**
+ * Matches the index folder names written for array items (item_0, item_1, ...)
+ */
+const ARRAY_ITEM_PATTERN = /^item_(\d+)$/;
+
+/**
+ * Parses JSON Lines content into an array, ignoring blank lines
+ * @param {string} content - The file contents
+ * @returns {Array} - One element per line
+ */
+const parseJSONLines = (content) => {
+  return content
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+};
+
+/**
+ * Turns the text of an archived file back into a JSON key and value.
+ * `.txt` files hold raw strings, `.json` files hold serialized values,
+ * `.jsonl` files hold one array element per line and any other name is a
+ * key that already carried its own extension.
+ * @param {string} filename - The archived file name
+ * @param {string} content - The file contents
+ * @returns {Array} - Tuple of [key, value]
+ */
+const restoreFileEntry = (filename, content) => {
+  if (filename.endsWith('.txt')) {
+    return [filename.slice(0, -4), content];
+  }
+
+  if (filename.endsWith('.jsonl')) {
+    try {
+      return [filename.slice(0, -6), parseJSONLines(content)];
+    } catch {
+      return [filename, content];
+    }
+  }
+
+  if (filename.endsWith('.json')) {
+    try {
+      return [filename.slice(0, -5), JSON.parse(content)];
+    } catch {
+      return [filename.slice(0, -5), content];
+    }
+  }
+
+  return [filename, content];
+};
+
+/**
+ * Gets the key restoreFileEntry gives a file, without reading it
+ * @param {string} filename - The archived file name
+ * @returns {string} - The name without a .txt, .json or .jsonl extension
+ */
+const getEntryKey = (filename) => {
+  const match = /\.(?:txt|jsonl|json)$/.exec(filename);
+  return match ? filename.slice(0, -match[0].length) : filename;
+};
+
+/**
+ * Converts folders whose children are exactly item_0..item_N back into arrays
+ * @param {*} node - Rebuilt node
+ * @param {Set} folders - Objects that were created for archive folders
+ * @returns {*} - Node with array folders restored
+ */
+const restoreArrays = (node, folders) => {
+  if (!folders.has(node)) {
+    return node;
+  }
+
+  const keys = Object.keys(node);
+  keys.forEach(key => {
+    node[key] = restoreArrays(node[key], folders);
+  });
+
+  const indexes = keys.map(key => key.match(ARRAY_ITEM_PATTERN));
+  if (keys.length === 0 || indexes.some(match => match === null)) {
+    return node;
+  }
+
+  const items = indexes
+    .map((match, position) => [Number(match[1]), node[keys[position]]])
+    .sort((a, b) => a[0] - b[0]);
+
+  if (!items.every(([index], position) => index === position)) {
+    return node;
+  }
+
+  return items.map(([, value]) => value);
+};
+
+/**
+ * Converts the text of a file back into the JSON type recorded in the manifest
+ * @param {string} type - The recorded JSON type
+ * @param {string} content - The file contents
+ * @returns {*} - The typed value
+ */
+const restoreTypedValue = (type, content) => {
+  switch (type) {
+    case 'number':
+      return Number(content);
+    case 'boolean':
+      return content === 'true';
+    case 'null':
+      return null;
+    // JSON has no date type, so dates come back as the text they were written as
+    case 'datetime':
+    default:
+      return content;
+  }
+};
+
+/**
+ * Rebuilds the exact original document from a manifest written by createFileTree
+ * @param {Object} source - Archive files as { paths, read(path, type) }, see restoreFromFiles
+ * @param {Object} manifest - The parsed manifest
+ * @returns {Promise<*>} - Promise that resolves to the original JSON data
+ */
+const restoreFromManifest = async (source, manifest) => {
+  if (manifest.format !== 'json-zip-manifest' || manifest.version > MANIFEST_VERSION) {
+    throw new Error('Unsupported manifest version');
+  }
+
+  const readFile = async (path, type) => {
+    const reason = getUnsafePathReason(String(path));
+    if (reason) {
+      throw new LayoutError(`Unsafe path in manifest "${path}": ${reason}`, [{ source: path, reason }]);
+    }
+    const content = await source.read(path, type);
+    if (content === null) {
+      throw new Error(`Missing file listed in manifest: ${path}`);
+    }
+    return content;
+  };
+
+  const restoreNode = async (node) => {
+    if (node.encoding === 'dataUri' || node.encoding === 'base64') {
+      const base64 = encodeBase64(await readFile(node.path, 'uint8array'));
+      return node.encoding === 'dataUri'
+        ? `${node.prefix}${base64}`
+        : { ...node.template, $base64: base64 };
+    }
+
+    if (node.type === 'array' && !node.encoding) {
+      const items = [];
+      for (const item of node.items) {
+        items.push(await restoreNode(item));
+      }
+      return items;
+    }
+
+    if (node.type === 'object' && !node.encoding) {
+      const result = {};
+      for (const { key, node: child } of node.entries) {
+        result[key] = await restoreNode(child);
+      }
+      return result;
+    }
+
+    const content = await readFile(node.path, 'string');
+    if (node.encoding === 'json') return JSON.parse(content);
+    if (node.encoding === 'jsonl') return parseJSONLines(content);
+    return restoreTypedValue(node.type, content);
+  };
+
+  return restoreNode(manifest.root);
+};
+
+/**
+ * Encodes a binary file as a JSON value
+ * @param {Uint8Array} bytes - The file contents
+ * @param {string} filename - Name of the file, used for the media type
+ * @param {string} encoding - 'dataUri' for data URI strings or 'base64' for { $base64, $type } objects
+ * @returns {string|Object} - The encoded value
+ */
+const encodeBinaryFile = (bytes, filename, encoding) => {
+  const mediaType = getMediaTypeForExtension(filename.split('.').pop());
+  return encoding === 'base64'
+    ? { $base64: encodeBase64(bytes), $type: mediaType }
+    : toDataUri(bytes, mediaType);
+};
+
+/**
+ * Rebuilds a JSON document from the files of an archive or folder, reversing createFileTree
+ * @param {Object} source - { paths, read(path, type) } where read resolves to the
+ *   contents as a 'string' or 'uint8array', or to null for a missing file
+ * @param {Object} options - Layout options, plus `binaryEncoding` ('dataUri' or 'base64')
+ * @returns {Promise<*>} - Promise that resolves to the rebuilt JSON data
+ */
+const restoreFromFiles = async (source, options) => {
+  if (source.paths.includes(MANIFEST_FILENAME)) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await source.read(MANIFEST_FILENAME, 'string'));
+    } catch {
+      throw new Error('Invalid manifest');
+    }
+    return restoreFromManifest(source, manifest);
+  }
+
+  const { keysArePaths } = getLayoutStrategy(options.strategy);
+  const root = {};
+  const folders = new Set([root]);
+  const entries = source.paths
+    .map(path => ({ path, parts: path.split('/').filter(part => part.length > 0) }))
+    .filter(({ parts }) => parts.length > 0 && parts[0] !== '__MACOSX' && parts[parts.length - 1] !== '.DS_Store');
+
+  // Entries claiming the same key in a folder, such as a.json next to a.txt or
+  // b.json next to b/, keep their extension instead of overwriting each other
+  const claims = new Map();
+  const folderPaths = new Set();
+  const claim = (folder, key) => claims.set(`${folder}/${key}`, (claims.get(`${folder}/${key}`) || 0) + 1);
+  if (!keysArePaths) {
+    entries.forEach(({ parts }) => {
+      parts.slice(0, -1).forEach((part, index) => {
+        const folder = parts.slice(0, index + 1).join('/');
+        if (!folderPaths.has(folder)) {
+          folderPaths.add(folder);
+          claim(parts.slice(0, index).join('/'), part);
+        }
+      });
+      claim(parts.slice(0, -1).join('/'), getEntryKey(parts[parts.length - 1]));
     });
-    
-    // Generate ZIP file
-    const zipBlob = await zip.generateAsync({ 
-      type: 'blob',
-      compression: 'DEFLATE',
-      compressionOptions: {
-        level: 6
+    const clash = entries.find(({ parts }) => folderPaths.has(parts.join('/')));
+    if (clash) {
+      throw new Error(`"${clash.path}" is both a file and a folder`);
+    }
+  }
+
+  for (const { path, parts } of entries) {
+    const filename = parts[parts.length - 1];
+    const bytes = await source.read(path, 'uint8array');
+    const isBinary = isBinaryExtension(filename) || !isTextContent(bytes);
+    const content = isBinary
+      ? encodeBinaryFile(bytes, filename, options.binaryEncoding)
+      : new TextDecoder().decode(bytes);
+
+    if (keysArePaths) {
+      root[parts.join(options.pathSeparator || '/')] = content;
+      continue;
+    }
+
+    let current = root;
+    parts.slice(0, -1).forEach(part => {
+      if (!folders.has(current[part])) {
+        current[part] = {};
+        folders.add(current[part]);
       }
+      current = current[part];
     });
-    
-    return zipBlob;
+
+    const [key, value] = isBinary ? [filename, content] : restoreFileEntry(filename, content);
+    const isShared = claims.get(`${parts.slice(0, -1).join('/')}/${getEntryKey(filename)}`) > 1;
+    current[isShared ? filename : key] = value;
+  }
+
+  return keysArePaths ? root : restoreArrays(root, folders);
+};
+
+/**
+ * Throws a LayoutError listing every unsafe entry name
+ * @param {Array<string>} names - Entry names
+ * @param {string} container - What the entries belong to, for the message
+ */
+const assertSafeEntries = (names, container) => {
+  const unsafe = names
+    .map(name => ({ source: name, reason: getUnsafeEntryReason(name) }))
+    .filter(({ reason }) => reason);
+  if (unsafe.length > 0) {
+    const list = unsafe.map(({ source, reason }) => `${source} (${reason})`).join(', ');
+    throw new LayoutError(`${container} contains ${unsafe.length} unsafe entr${unsafe.length === 1 ? 'y' : 'ies'}: ${list}`, unsafe);
+  }
+};
+
+/**
+ * Rebuilds a JSON document from a ZIP archive, reversing createFileTree.
+ * When the archive carries a manifest the original document is restored exactly,
+ * otherwise folders become objects, item_N folders become arrays and files become values.
+ * Files that would be restored under the same key as another file or a folder,
+ * such as a.json next to a.txt, keep their extension in the key.
+ * Binary files are restored as data URIs, or as { $base64, $type } objects when
+ * `binaryEncoding` is 'base64'. Archives with absolute, empty or traversal
+ * entry names are rejected with a LayoutError listing every offending entry.
+ * With a strategy whose keys are paths (vfs) every file becomes one key holding its contents.
+ * @param {Blob|ArrayBuffer|Uint8Array} zipSource - The ZIP archive to read
+ * @param {Object} options - Layout options the archive was created with
+ * @param {string} options.strategy - Name of the layout strategy
+ * @param {string} options.pathSeparator - Separator used to join path keys in the vfs strategy
+ * @param {string} options.binaryEncoding - 'dataUri' (default) or 'base64'
+ * @returns {Promise<Object>} - Promise that resolves to the rebuilt JSON data
+ */
+export const convertZipToJSON = async (zipSource, options = {}) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(zipSource);
   } catch (error) {
-    console.error('Error creating ZIP file:', error);
-    throw new Error('Failed to create ZIP file');
+    console.error('Error reading ZIP file:', error);
+    throw new Error('Failed to read ZIP file');
   }
+
+  assertSafeEntries(Object.values(zip.files).map(entry => entry.unsafeOriginalName || entry.name), 'ZIP');
+
+  return restoreFromFiles({
+    paths: Object.values(zip.files).filter(entry => !entry.dir).map(entry => entry.name),
+    read: async (path, type) => {
+      const entry = zip.file(path);
+      return entry ? entry.async(type) : null;
+    }
+  }, options);
+};
+
+/**
+ * Rebuilds a JSON document from a map of files, e.g. a folder read from disk,
+ * the same way convertZipToJSON does for archives
+ * @param {Object} files - Map of relative path to Uint8Array contents
+ * @param {Object} options - Layout options, plus `binaryEncoding` ('dataUri' or 'base64')
+ * @returns {Promise<*>} - Promise that resolves to the rebuilt JSON data
+ */
+export const convertFilesToJSON = async (files, options = {}) => {
+  assertSafeEntries(Object.keys(files), 'Folder');
+
+  return restoreFromFiles({
+    paths: Object.keys(files),
+    read: async (path, type) => {
+      if (!Object.prototype.hasOwnProperty.call(files, path)) return null;
+      return type === 'string' ? new TextDecoder().decode(files[path]) : files[path];
+    }
+  }, options);
 };
 
 /**
@@ -169,18 +534,20 @@ export const downloadBlob = (blob, filename) => {
 };
 
 /**
- * Formats file size in human readable format
- * @param {number} bytes - File size in bytes
- * @returns {string} - Formatted file size
+ * Asks the user where to save an archive using the File System Access API
+ * @param {string} suggestedName - The default filename
+ * @param {Object} format - Archive format from ARCHIVE_FORMATS
+ * @returns {Promise<FileSystemFileHandle|null>} - The chosen file, or null when the
+ *   browser has no save picker. Rejects with an AbortError if the user cancels.
  */
-export const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+export const chooseSaveFile = async (suggestedName, format = ARCHIVE_FORMATS.zip) => {
+  if (typeof window === 'undefined' || typeof window.showSaveFilePicker !== 'function') {
+    return null;
+  }
+  return window.showSaveFilePicker({
+    suggestedName,
+    types: [{ description: `${format.label} archive`, accept: { [format.mediaType]: [format.extension] } }]
+  });
 };
 
 /**
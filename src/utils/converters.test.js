@@ -0,0 +1,151 @@
+import JSZip from 'jszip';
+import { describe, expect, it } from 'vitest';
+import { convertFilesToJSON, convertJSONToZip, convertZipToJSON, streamJSONToZip } from './converters';
+
+const document = {
+  name: 'demo',
+  count: 3,
+  ratio: 0.5,
+  enabled: false,
+  missing: null,
+  numericString: '42',
+  tags: ['a', 'b'],
+  nested: { empty: {}, list: [], deep: { value: 'x' } },
+  logo: 'data:image/png;base64,iVBORw==',
+  blob: { $base64: 'AAE=', $type: 'application/octet-stream' }
+};
+
+const zipOf = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, content]) => zip.file(path, content, { createFolders: false }));
+  return zip.generateAsync({ type: 'uint8array' });
+};
+
+const encodeFiles = (files) => Object.fromEntries(
+  Object.entries(files).map(([path, content]) => [path, new TextEncoder().encode(content)])
+);
+
+// Collects everything written to the stream
+const createMemoryWritable = () => {
+  const chunks = [];
+  const writable = new WritableStream({ write: chunk => { chunks.push(chunk); } });
+  return { writable, bytes: () => new Blob(chunks) };
+};
+
+describe('convertZipToJSON', () => {
+  it('restores the exact document from an archive with a manifest', async () => {
+    for (const strategy of ['typed', 'text', 'auto', 'vfs']) {
+      const archive = await convertJSONToZip(document, 'demo', { strategy, manifest: true });
+      expect(await convertZipToJSON(archive)).toEqual(document);
+    }
+  });
+
+  it('rejects manifests it cannot read', async () => {
+    const unknown = await zipOf({ 'a.txt': 'x', '.json-zip-manifest.json': '{"format":"other"}' });
+    await expect(convertZipToJSON(unknown)).rejects.toThrow('Unsupported manifest version');
+
+    const invalid = await zipOf({ 'a.txt': 'x', '.json-zip-manifest.json': '{' });
+    await expect(convertZipToJSON(invalid)).rejects.toThrow('Invalid manifest');
+  });
+
+  it('rebuilds folders, item_N arrays and typed values without a manifest', async () => {
+    const archive = await zipOf({
+      'name.txt': 'demo',
+      'count.json': '3',
+      'list/item_0.json': '1',
+      'list/item_1.json': '2',
+      'nested/flag.json': 'true'
+    });
+    expect(await convertZipToJSON(archive)).toEqual({
+      name: 'demo',
+      count: 3,
+      list: [1, 2],
+      nested: { flag: true }
+    });
+  });
+
+  it('keeps the extension of files that would restore under the same key', async () => {
+    const archive = await zipOf({
+      'a.json': '1',
+      'a.txt': 'x',
+      'b.json': '2',
+      'b/c.txt': 'y'
+    });
+    expect(await convertZipToJSON(archive)).toEqual({
+      'a.json': 1,
+      'a.txt': 'x',
+      'b.json': 2,
+      b: { c: 'y' }
+    });
+  });
+
+  it('restores the string values of an archive it generated', async () => {
+    const document = { name: 'demo', tags: ['a', 'b'], nested: { deep: { value: 'x' } } };
+    const archive = await convertJSONToZip(document);
+    expect(await convertZipToJSON(archive)).toEqual(document);
+  });
+
+  it('reads every file as one path key with the vfs strategy', async () => {
+    const archive = await zipOf({ 'src/index.js': 'code', 'README.md': '# hi' });
+    expect(await convertZipToJSON(archive, { strategy: 'vfs', pathSeparator: '::' })).toEqual({
+      'src::index.js': 'code',
+      'README.md': '# hi'
+    });
+  });
+
+  it('restores binary files as data URIs without a manifest', async () => {
+    const archive = await zipOf({ 'logo.png': new Uint8Array([0x89, 0x50]), 'raw.dat': new Uint8Array([0, 1]) });
+    expect(await convertZipToJSON(archive)).toEqual({
+      'logo.png': 'data:image/png;base64,iVA=',
+      'raw.dat': 'data:application/octet-stream;base64,AAE='
+    });
+  });
+
+  it('rejects unsafe entry names', async () => {
+    const archive = await zipOf({ '../evil.txt': 'x', 'ok.txt': 'y' });
+    await expect(convertZipToJSON(archive)).rejects.toThrow('ZIP contains 1 unsafe entry: ../evil.txt (traversal segment "..")');
+  });
+
+  it('skips macOS metadata entries', async () => {
+    const archive = await zipOf({ 'a.txt': 'x', '__MACOSX/._a.txt': 'meta', 'b/.DS_Store': 'meta' });
+    expect(await convertZipToJSON(archive)).toEqual({ a: 'x' });
+  });
+
+  it('rejects files that are not archives', async () => {
+    await expect(convertZipToJSON(new TextEncoder().encode('not a zip'))).rejects.toThrow('Failed to read ZIP file');
+  });
+});
+
+describe('convertFilesToJSON', () => {
+  it('reads a folder the same way as an archive', async () => {
+    const files = encodeFiles({ 'a/b.json': '{"c":1}', 'd.txt': 'text' });
+    expect(await convertFilesToJSON(files)).toEqual({ a: { b: { c: 1 } }, d: 'text' });
+  });
+
+  it('refuses a file and a folder with the same name', async () => {
+    const files = encodeFiles({ a: 'x', 'a/b.json': '2' });
+    await expect(convertFilesToJSON(files)).rejects.toThrow(/both a file and a folder/);
+  });
+
+  it('encodes binary files as base64 objects when asked', async () => {
+    const files = { 'img.png': new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0]) };
+    expect(await convertFilesToJSON(files, { binaryEncoding: 'base64' })).toEqual({
+      'img.png': { $base64: 'iVBORwA=', $type: 'image/png' }
+    });
+  });
+});
+
+describe('streamJSONToZip', () => {
+  it('writes the same archive to a stream and returns the bytes written', async () => {
+    const { writable, bytes } = createMemoryWritable();
+    const size = await streamJSONToZip(document, writable, { manifest: true });
+
+    expect(size).toBe(bytes().size);
+    expect(await convertZipToJSON(bytes())).toEqual(document);
+  });
+
+  it('fails when a write fails', async () => {
+    const writable = new WritableStream({ write: () => { throw new Error('disk full'); } });
+    await expect(streamJSONToZip(document, writable)).rejects.toThrow('Failed to write ZIP file');
+  });
+});
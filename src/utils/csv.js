@@ -0,0 +1,316 @@
+/**
+ * CSV and TSV input. Rows are read as in RFC 4180 and laid out by column:
+ * path columns give the folders, a name column gives the file name and the
+ * content columns give what is written.
+ */
+
+import { addCollisionSuffix } from './fileLayout';
+
+/**
+ * Field delimiters. 'auto' picks the most frequent candidate in the first line.
+ */
+export const CSV_DELIMITERS = {
+  auto: { name: 'auto', label: 'Detect', character: '' },
+  comma: { name: 'comma', label: 'Comma', character: ',' },
+  semicolon: { name: 'semicolon', label: 'Semicolon', character: ';' },
+  tab: { name: 'tab', label: 'Tab', character: '\t' },
+  pipe: { name: 'pipe', label: 'Pipe', character: '|' }
+};
+
+/**
+ * Whether the first row holds column names
+ */
+export const CSV_HEADER_MODES = {
+  auto: { name: 'auto', label: 'Detect' },
+  yes: { name: 'yes', label: 'First row' },
+  no: { name: 'no', label: 'None' }
+};
+
+/**
+ * Default CSV settings. Column lists are comma-separated column names; without
+ * a header row the columns are named column_1, column_2, ... An empty name
+ * column names files row_N, and empty content columns mean every column that
+ * is not a path or name column.
+ */
+export const DEFAULT_CSV_OPTIONS = {
+  delimiter: 'auto',
+  quote: '"',
+  header: 'auto',
+  coerceTypes: true,
+  pathColumns: '',
+  nameColumn: '',
+  contentColumns: ''
+};
+
+// Leading zeros are not numbers, so codes such as "007" stay strings
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Converts a field to a number, boolean or null when it clearly is one
+ * @param {string} value - The field text
+ * @returns {*} - The typed value, or the text
+ */
+export const coerceCSVValue = (value) => {
+  if (value === '') return null;
+  if (/^(?:true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (NUMBER.test(value)) {
+    const number = Number(value);
+    // Integers too large to represent exactly, such as long IDs, stay strings
+    if (Number.isSafeInteger(number) || !/^-?\d+$/.test(value)) return number;
+  }
+  return value;
+};
+
+/**
+ * Picks the delimiter that occurs most often in the first line, outside quotes
+ * @param {string} text - The CSV text
+ * @param {string} quote - The quote character
+ * @returns {string} - The delimiter character, a comma if none occurs
+ */
+export const detectDelimiter = (text, quote = '"') => {
+  const counts = new Map();
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === quote) {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+  }
+
+  const candidates = Object.values(CSV_DELIMITERS).filter(({ character }) => character);
+  return candidates.reduce((found, { character }) => (
+    (counts.get(character) || 0) > (counts.get(found) || 0) ? character : found
+  ), ',');
+};
+
+/**
+ * Splits CSV text into rows of fields. Quoted fields may hold delimiters,
+ * newlines and doubled quotes. Empty lines are skipped.
+ * @param {string} text - The CSV text
+ * @param {Object} options - { delimiter, quote } as characters
+ * @returns {Array<Object>} - { line, fields } for each row, line starting at 1
+ * @throws {SyntaxError} - For an unterminated quote or text after a closing quote
+ */
+export const readCSVRows = (text, { delimiter = ',', quote = '"' } = {}) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let rowLine = 1;
+  let position = 0;
+  let lineStart = 0;
+  // Whether the current row has any content, so blank lines can be skipped
+  let started = false;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at line ${line}, column ${position - lineStart + 1}`);
+  };
+
+  const endRow = () => {
+    if (started) {
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+    started = false;
+  };
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (quote && char === quote && field === '') {
+      const openLine = line;
+      const openColumn = position - lineStart + 1;
+      started = true;
+      position++;
+      for (;;) {
+        if (position >= text.length) {
+          throw new SyntaxError(`Unterminated quoted field at line ${openLine}, column ${openColumn}`);
+        }
+        if (text[position] === quote) {
+          if (text[position + 1] === quote) {
+            field += quote;
+            position += 2;
+            continue;
+          }
+          position++;
+          break;
+        }
+        if (text[position] === '\n') {
+          line++;
+          lineStart = position + 1;
+        }
+        field += text[position];
+        position++;
+      }
+      const next = text[position];
+      if (position < text.length && next !== delimiter && next !== '\n' && next !== '\r') {
+        fail(`Unexpected "${next}" after a quoted field`);
+      }
+      continue;
+    }
+
+    if (char === delimiter) {
+      started = true;
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && text[position + 1] === '\n') position++;
+      line++;
+      lineStart = position + 1;
+      rowLine = line;
+    } else {
+      started = true;
+      field += char;
+    }
+    position++;
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Guesses whether the first row is a header: every field is a non-empty,
+ * distinct label that would not be read as a number, boolean or empty value
+ * @param {Array<Array<string>>} rows - The rows' fields
+ * @returns {boolean} - True if the first row looks like column names
+ */
+const looksLikeHeader = (rows) => {
+  if (rows.length < 2) return false;
+  const [first] = rows;
+  return new Set(first).size === first.length &&
+    first.every(field => field.trim() !== '' && typeof coerceCSVValue(field.trim()) === 'string');
+};
+
+/**
+ * Splits a comma-separated column list
+ * @param {string} value - e.g. "country, city"
+ * @returns {Array<string>} - The column names
+ */
+const toColumnList = (value) => String(value || '').split(',').map(name => name.trim()).filter(Boolean);
+
+/**
+ * Defines a key like JSON.parse, so "__proto__" becomes an own key
+ * @param {Object} target - The object
+ * @param {string} key - The key
+ * @param {*} value - The value
+ */
+const setKey = (target, key, value) => {
+  Object.defineProperty(target, key, { value, enumerable: true, configurable: true, writable: true });
+};
+
+/**
+ * Finds a key for a new entry, adding _1, _2, ... when the name is taken
+ * @param {Object} target - The object
+ * @param {string} name - The wanted key
+ * @returns {string} - A free key
+ */
+const findFreeKey = (target, name) => {
+  const isTaken = (key) => Object.prototype.hasOwnProperty.call(target, key);
+  return isTaken(name) ? addCollisionSuffix(name, isTaken) : name;
+};
+
+/**
+ * Parses CSV text into a tree. Each row becomes an entry in the folders named
+ * by its path columns, under its name column's value or row_N. With one
+ * content column the entry is that value, otherwise an object of the content
+ * columns. Rows with a different number of fields than the header are padded
+ * or cut and reported, as are rows whose name is empty or holds a slash.
+ * @param {string} text - The CSV text
+ * @param {Object} options - DEFAULT_CSV_OPTIONS fields plus onWarning({ line, message })
+ * @returns {Object} - The tree
+ * @throws {Error} - For a column name that does not exist
+ */
+export const parseCSV = (text, options = {}) => {
+  const { delimiter, quote, header, coerceTypes, pathColumns, nameColumn, contentColumns } = {
+    ...DEFAULT_CSV_OPTIONS,
+    ...options
+  };
+  const { onWarning = () => {} } = options;
+  const quoteCharacter = quote ? quote[0] : '';
+  const delimiterCharacter = delimiter === 'auto' || !CSV_DELIMITERS[delimiter]
+    ? detectDelimiter(text, quoteCharacter)
+    : CSV_DELIMITERS[delimiter].character;
+
+  const rows = readCSVRows(text, { delimiter: delimiterCharacter, quote: quoteCharacter });
+  const hasHeader = rows.length > 0 &&
+    (header === 'yes' || (header === 'auto' && looksLikeHeader(rows.map(({ fields }) => fields))));
+  const width = rows.reduce((widest, { fields }) => Math.max(widest, fields.length), 0);
+  const headerFields = hasHeader ? rows[0].fields : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  // Empty names fall back to column_N and repeated names get a suffix
+  const columns = [];
+  for (let index = 0; index < (hasHeader ? headerFields.length : width); index++) {
+    const name = (headerFields[index] || '').trim() || `column_${index + 1}`;
+    const isTaken = (column) => columns.includes(column);
+    columns.push(isTaken(name) ? addCollisionSuffix(name, isTaken) : name);
+  }
+
+  const resolve = (name) => {
+    const index = columns.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Unknown column "${name}". Columns are: ${columns.join(', ')}`);
+    }
+    return index;
+  };
+
+  const pathIndexes = toColumnList(pathColumns).map(resolve);
+  const nameIndex = nameColumn ? resolve(nameColumn.trim()) : -1;
+  const listedContent = toColumnList(contentColumns).map(resolve);
+  const contentIndexes = listedContent.length > 0
+    ? listedContent
+    : columns.map((_, index) => index).filter(index => !pathIndexes.includes(index) && index !== nameIndex);
+
+  const toValue = (field) => (coerceTypes ? coerceCSVValue(field) : field);
+  const root = {};
+  const folders = new Set([root]);
+
+  dataRows.forEach(({ line, fields }, rowIndex) => {
+    if (fields.length !== columns.length) {
+      const fix = fields.length < columns.length ? 'missing fields are empty' : 'extra fields were ignored';
+      onWarning({ line, message: `Expected ${columns.length} fields but found ${fields.length}; ${fix}` });
+    }
+    const field = (index) => (index < fields.length ? fields[index] : '');
+
+    let target = root;
+    pathIndexes.forEach(index => {
+      const segment = field(index).trim();
+      if (!segment) return;
+
+      const existing = Object.prototype.hasOwnProperty.call(target, segment) ? target[segment] : undefined;
+      if (existing && folders.has(existing)) {
+        target = existing;
+        return;
+      }
+      const folder = {};
+      folders.add(folder);
+      setKey(target, findFreeKey(target, segment), folder);
+      target = folder;
+    });
+
+    const name = nameIndex === -1 ? '' : field(nameIndex).trim();
+    if (nameIndex !== -1 && !name) {
+      onWarning({ line, message: `Empty value in name column "${columns[nameIndex]}"; the row was named row_${rowIndex + 1}` });
+    } else if (/[\\/]/.test(name)) {
+      onWarning({ line, message: `Name "${name}" contains a slash; use folder columns to make folders` });
+    }
+    let content;
+    if (contentIndexes.length === 1) {
+      content = toValue(field(contentIndexes[0]));
+    } else {
+      content = {};
+      contentIndexes.forEach(index => setKey(content, columns[index], toValue(field(index))));
+    }
+    setKey(target, findFreeKey(target, name || `row_${rowIndex + 1}`), content);
+  });
+
+  return root;
+};
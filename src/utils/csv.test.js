@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { coerceCSVValue, detectDelimiter, parseCSV, readCSVRows } from './csv';
+
+const collectWarnings = () => {
+  const warnings = [];
+  return { warnings, onWarning: warning => warnings.push(warning) };
+};
+
+describe('readCSVRows', () => {
+  it('reads quoted fields with delimiters, quotes and line breaks', () => {
+    const rows = readCSVRows('a,"b,c","say ""hi"""\r\n"multi\nline",x,\n');
+    expect(rows).toEqual([
+      { line: 1, fields: ['a', 'b,c', 'say "hi"'] },
+      { line: 2, fields: ['multi\nline', 'x', ''] }
+    ]);
+  });
+
+  it('reads without quoting when no quote character is given', () => {
+    expect(readCSVRows('"a";b', { delimiter: ';', quote: '' })[0].fields).toEqual(['"a"', 'b']);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the most frequent candidate outside quotes', () => {
+    expect(detectDelimiter('a;b;c\n1;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('"a;b;c",d|e|f')).toBe('|');
+    expect(detectDelimiter('single')).toBe(',');
+  });
+});
+
+describe('coerceCSVValue', () => {
+  it('types numbers, booleans and empty fields', () => {
+    expect(coerceCSVValue('42')).toBe(42);
+    expect(coerceCSVValue('-1.5e3')).toBe(-1500);
+    expect(coerceCSVValue('true')).toBe(true);
+    expect(coerceCSVValue('')).toBeNull();
+  });
+
+  it('keeps values that would lose information as strings', () => {
+    expect(coerceCSVValue('007')).toBe('007');
+    expect(coerceCSVValue('12345678901234567890')).toBe('12345678901234567890');
+    expect(coerceCSVValue('text')).toBe('text');
+  });
+});
+
+describe('parseCSV', () => {
+  const text = 'country,city,name,population\nFR,Paris,paris,2100000\nFR,Lyon,lyon,520000\nDE,,berlin,3600000\n';
+
+  it('names rows row_N and writes every column without path or name columns', () => {
+    expect(parseCSV('a,b\n1,x\n2,y\n')).toEqual({
+      row_1: { a: 1, b: 'x' },
+      row_2: { a: 2, b: 'y' }
+    });
+  });
+
+  it('builds folders from path columns and names from the name column', () => {
+    const tree = parseCSV(text, { pathColumns: 'country, city', nameColumn: 'name', contentColumns: 'population' });
+    expect(tree).toEqual({
+      FR: { Paris: { paris: 2100000 }, Lyon: { lyon: 520000 } },
+      DE: { berlin: 3600000 }
+    });
+  });
+
+  it('numbers columns without a header and reads header-like rows as data when told to', () => {
+    expect(parseCSV('1,2\n3,4\n')).toEqual({ row_1: { column_1: 1, column_2: 2 }, row_2: { column_1: 3, column_2: 4 } });
+    expect(Object.keys(parseCSV('a,b\nc,d\n', { header: 'no' }))).toEqual(['row_1', 'row_2']);
+  });
+
+  it('suffixes repeated names and columns', () => {
+    expect(parseCSV('id,v,v\na,1,2\na,3,4\n', { header: 'yes', nameColumn: 'id' })).toEqual({
+      a: { v: 1, v_1: 2 },
+      a_1: { v: 3, v_1: 4 }
+    });
+  });
+
+  it('reports rows with the wrong number of fields, empty names and names with a slash', () => {
+    const { warnings, onWarning } = collectWarnings();
+    const tree = parseCSV('id,v\na/b,1\n,2\nc,3,4\nd\n', { nameColumn: 'id', onWarning });
+
+    expect(tree).toEqual({ 'a/b': 1, row_2: 2, c: 3, d: null });
+    expect(warnings.map(({ line }) => line)).toEqual([2, 3, 4, 5]);
+    expect(warnings[0].message).toMatch(/contains a slash/);
+    expect(warnings[1].message).toMatch(/named row_2/);
+    expect(warnings[2].message).toMatch(/extra fields were ignored/);
+    expect(warnings[3].message).toMatch(/missing fields are empty/);
+  });
+
+  it('rejects unknown columns', () => {
+    expect(() => parseCSV(text, { nameColumn: 'town' })).toThrow(/Unknown column "town"/);
+  });
+});
@@ -0,0 +1,651 @@
+/**
+ * Conversion engine that lays JSON data out as a flat map of file paths.
+ * Every UI and API entry point goes through buildFileMap so that the same
+ * strategy always produces the same archive.
+ */
+
+import { detectBinaryValue, getExtensionForMediaType } from './binary';
+import { formatJSONPath, matchesJSONPath, parseJSONPath } from './jsonPath';
+import { getUnsafePathReason, getUnsafeSegmentReason } from './pathSafety';
+import { byteLength, getComparisonKey, getPortabilityProfile, makePortableName, shortenName } from './portability';
+
+/**
+ * Name of the manifest file that records the original JSON types
+ */
+export const MANIFEST_FILENAME = '.json-zip-manifest.json';
+
+/**
+ * Version of the manifest format written by buildFileMap
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Serializes a value the way every strategy writes JSON files
+ * @param {*} value - The value to serialize
+ * @returns {string} - Pretty printed JSON
+ */
+const serializeJSON = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Checks whether a key already ends in a file extension
+ * @param {string} key - The key to check
+ * @returns {boolean} - True if the key has an extension
+ */
+const hasExtension = (key) => /\.[A-Za-z0-9]+$/.test(key);
+
+/**
+ * Named layout strategies.
+ * `arrays` is the default ARRAY_MODES entry used for arrays, which can be
+ * overridden per conversion or per location. `encodeValue` picks the file
+ * extension and encoding for a leaf value: 'text' files hold String(value),
+ * 'json' files hold the serialized value.
+ */
+export const LAYOUT_STRATEGIES = {
+  typed: {
+    name: 'typed',
+    label: 'Typed',
+    description: 'Objects become folders. Strings are written as-is, every other value and whole arrays as JSON. Keys that already have an extension keep it.',
+    arrays: 'json',
+    encodeValue: (value, key) => ({
+      extension: hasExtension(key) ? '' : '.json',
+      encoding: typeof value === 'string' ? 'text' : 'json'
+    })
+  },
+  text: {
+    name: 'text',
+    label: 'Plain text',
+    description: 'Objects become folders, arrays become item_N folders and every value is written as a .txt file.',
+    arrays: 'index',
+    encodeValue: () => ({ extension: '.txt', encoding: 'text' })
+  },
+  auto: {
+    name: 'auto',
+    label: 'Auto',
+    description: 'Objects become folders and arrays become item_N folders. Strings longer than 100 characters are written as .txt files, other values as .json files.',
+    arrays: 'index',
+    encodeValue: (value) => (typeof value === 'string' && value.length > 100
+      ? { extension: '.txt', encoding: 'text' }
+      : { extension: '.json', encoding: 'json' })
+  },
+  vfs: {
+    name: 'vfs',
+    label: 'Virtual filesystem',
+    description: 'Keys are relative paths split on the path separator and strings are written verbatim as file contents. Objects become folders unless their key has an extension, other values are written as JSON.',
+    arrays: 'json',
+    keysArePaths: true,
+    encodeValue: (value) => ({ extension: '', encoding: typeof value === 'string' ? 'text' : 'json' })
+  }
+};
+
+/**
+ * Separators offered for splitting keys into paths in the vfs strategy
+ */
+export const PATH_SEPARATORS = ['/', '.', '::'];
+
+/**
+ * Ways an array can be written.
+ * `index` explodes it into item_N entries, `field` writes one JSON file per
+ * element named from a field, `jsonl` writes a single JSON Lines file and
+ * `json` writes a single JSON array file.
+ */
+export const ARRAY_MODES = {
+  index: { name: 'index', label: 'Index folders (item_N)' },
+  field: { name: 'field', label: 'One file per element, named by field' },
+  jsonl: { name: 'jsonl', label: 'Single JSON Lines file' },
+  json: { name: 'json', label: 'Single JSON array file' }
+};
+
+/**
+ * Fields tried in order when naming array elements in `field` mode
+ */
+export const DEFAULT_ARRAY_FIELDS = ['id', 'slug', 'name'];
+
+/**
+ * Strategy used when none is specified
+ */
+export const DEFAULT_LAYOUT_STRATEGY = 'typed';
+
+/**
+ * Layout options used by the UI before the user changes anything
+ */
+export const DEFAULT_LAYOUT_OPTIONS = {
+  strategy: DEFAULT_LAYOUT_STRATEGY,
+  manifest: false,
+  arrays: '',
+  arrayField: '',
+  arrayRules: [],
+  pathSeparator: '/',
+  decodeBinary: true,
+  collisions: 'suffix',
+  portability: 'posix'
+};
+
+/**
+ * Looks up a layout strategy by name
+ * @param {string} name - The strategy name
+ * @returns {Object} - The strategy definition
+ */
+export const getLayoutStrategy = (name = DEFAULT_LAYOUT_STRATEGY) => {
+  const strategy = LAYOUT_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown layout strategy: ${name}`);
+  }
+  return strategy;
+};
+
+/**
+ * Sanitizes filename to be safe for file systems
+ * @param {string} filename - The filename to sanitize
+ * @returns {string} - Sanitized filename
+ */
+export const sanitizeFilename = (filename) => {
+  return filename
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/_{2,}/g, '_')
+    .trim();
+};
+
+/**
+ * Gets the JSON type name of a value. Dates, such as TOML date-times, are
+ * leaf values of type 'datetime' and are written as their JSON form.
+ * @param {*} value - The value to inspect
+ * @returns {string} - One of object, array, string, number, boolean, null or datetime
+ */
+export const getJSONType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'datetime';
+  return typeof value;
+};
+
+/**
+ * Joins a parent path and a name
+ * @param {string} parent - Parent path, may be empty
+ * @param {string} name - Child name
+ * @returns {string} - Joined path
+ */
+const joinPath = (parent, name) => (parent ? `${parent}/${name}` : name);
+
+/**
+ * Normalizes a field option into a list of field names
+ * @param {string|Array} fields - Comma separated string or array of field names
+ * @returns {Array} - Field names, DEFAULT_ARRAY_FIELDS when empty
+ */
+const toFieldList = (fields) => {
+  const list = (Array.isArray(fields) ? fields : String(fields || '').split(','))
+    .map(field => field.trim())
+    .filter(field => field.length > 0);
+  return list.length > 0 ? list : DEFAULT_ARRAY_FIELDS;
+};
+
+/**
+ * Names array elements from the first field that holds a string or number.
+ * Elements with a missing, unsafe or duplicated name fall back to item_N.
+ * @param {Array} items - The array elements
+ * @param {Array} fields - Candidate field names
+ * @returns {Array} - One unique name per element
+ */
+const nameArrayItems = (items, fields) => {
+  const candidates = items.map(item => {
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) return '';
+    const field = fields.find(name => ['string', 'number'].includes(typeof item[name]));
+    const name = field ? sanitizeFilename(String(item[field])) : '';
+    return getUnsafeSegmentReason(name) ? '' : name;
+  });
+
+  const counts = new Map();
+  candidates.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+
+  const used = new Set(candidates.filter(name => name && counts.get(name) === 1));
+  return candidates.map((name, index) => {
+    if (name && counts.get(name) === 1) return name;
+
+    let fallback = `item_${index}`;
+    for (let attempt = 1; used.has(fallback); attempt++) {
+      fallback = `item_${index}_${attempt}`;
+    }
+    used.add(fallback);
+    return fallback;
+  });
+};
+
+/**
+ * Error thrown when data cannot be laid out, carrying the individual problems
+ */
+export class LayoutError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'LayoutError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Ways to resolve two entries that end up with the same path after sanitizing
+ */
+export const COLLISION_POLICIES = {
+  suffix: { name: 'suffix', label: 'Add _1, _2, ...' },
+  hash: { name: 'hash', label: 'Add hash of original key' },
+  error: { name: 'error', label: 'Fail' }
+};
+
+/**
+ * Computes a short, stable FNV-1a hash of a string
+ * @param {string} value - The string to hash
+ * @returns {string} - 8 hex characters
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Splits a file name into stem and extension
+ * @param {string} name - The file name
+ * @returns {Array} - Tuple of [stem, extension including the dot]
+ */
+const splitExtension = (name) => {
+  const match = name.match(/^(.+?)(\.[A-Za-z0-9]+)$/);
+  return match ? [match[1], match[2]] : [name, ''];
+};
+
+/**
+ * Finds a free name the way the `suffix` collision policy does, by adding
+ * _1, _2, ... to the stem
+ * @param {string} stem - The name without its extension
+ * @param {Function} isTaken - Called with a candidate name, true when it is in use
+ * @param {string} extension - Extension kept after the suffix, e.g. ".json"
+ * @returns {string} - The first free name, e.g. "a_1.json"
+ */
+export const addCollisionSuffix = (stem, isTaken, extension = '') => {
+  let candidate = `${stem}_1${extension}`;
+  for (let attempt = 2; isTaken(candidate); attempt++) {
+    candidate = `${stem}_${attempt}${extension}`;
+  }
+  return candidate;
+};
+
+/**
+ * Creates a layout that data is added to incrementally: members of the
+ * top-level object or array can be added one by one as they are parsed, so the
+ * whole document never has to be held. Members that cannot be laid out on their
+ * own, such as the elements of a top-level array written as one file, are kept
+ * until `finish`. A top-level key that repeats is laid out twice, as a collision,
+ * instead of replacing the earlier value.
+ * @param {Object} options - Layout options
+ * @param {string} options.strategy - Name of the layout strategy
+ * @param {string} options.basePath - Base path for the files
+ * @param {boolean} options.manifest - Also write a manifest recording the original types
+ * @param {string} options.arrays - Array mode, defaults to the strategy's mode
+ * @param {string|Array} options.arrayField - Fields used to name elements in `field` mode
+ * @param {Array} options.arrayRules - Per-location overrides as { path, mode, field }
+ *   where path is a JSONPath such as $.users; the first matching rule wins
+ * @param {string} options.pathSeparator - Separator used to split keys in the vfs strategy
+ * @param {boolean} options.decodeBinary - Write data URIs and $base64 objects as binary files
+ * @param {string} options.collisions - COLLISION_POLICIES entry used when two entries share a path
+ * @param {string} options.portability - PORTABILITY_PROFILES entry every path component is rewritten for
+ * @returns {Object} - { addMember(key, value), finish(data) } where addMember takes a
+ *   member of the top-level object (by property name) or array (by index), and finish
+ *   takes the whole data, or its empty top-level container once every member was added,
+ *   and returns the result of buildLayout
+ */
+export const createLayoutBuilder = (options = {}) => {
+  const {
+    basePath = '',
+    manifest = false,
+    arrayField = '',
+    arrayRules = [],
+    pathSeparator = '/',
+    decodeBinary = true,
+    collisions = 'suffix',
+    portability = 'posix'
+  } = options;
+  const strategy = getLayoutStrategy(options.strategy);
+  const profile = getPortabilityProfile(portability);
+  const defaultArrayMode = options.arrays || strategy.arrays;
+  const files = {};
+  const claimed = new Map();
+  const renames = [];
+  const conflicts = [];
+  const tooLong = [];
+  const unsafe = [];
+
+  const basePathReason = basePath ? getUnsafePathReason(basePath) : null;
+  if (basePathReason) {
+    throw new LayoutError(`Unsafe base path "${basePath}": ${basePathReason}`, [
+      { source: basePath, reason: basePathReason }
+    ]);
+  }
+
+  if (!COLLISION_POLICIES[collisions]) {
+    throw new Error(`Unknown collision policy: ${collisions}`);
+  }
+  [defaultArrayMode, ...arrayRules.map(rule => rule.mode)].forEach(mode => {
+    if (!ARRAY_MODES[mode]) {
+      throw new Error(`Unknown array mode: ${mode}`);
+    }
+  });
+  const rules = arrayRules.map(rule => ({ ...rule, tokens: parseJSONPath(rule.path) }));
+
+  const getArrayRule = (segments) => {
+    const rule = rules.find(({ tokens }) => matchesJSONPath(tokens, segments));
+    return {
+      mode: rule ? rule.mode : defaultArrayMode,
+      fields: toFieldList(rule && rule.field ? rule.field : arrayField)
+    };
+  };
+
+  // Returns the relative path for a key, or null after recording why the key is unsafe
+  const toEntryPath = (key, segments) => {
+    const separator = strategy.keysArePaths ? pathSeparator || '/' : null;
+    const parts = separator ? key.split(separator).map(sanitizeFilename) : [sanitizeFilename(key)];
+    // Only a leading slash needs checking on the raw key: drive letters such as
+    // `C:` are relative once the colon is sanitized
+    const reason = (separator === '/' && /^[\\/]/.test(key) && 'absolute path') ||
+      parts.map(getUnsafeSegmentReason).find(Boolean);
+
+    if (reason) {
+      unsafe.push({ source: formatJSONPath(segments), key, reason });
+      return null;
+    }
+    return parts.join('/');
+  };
+
+  // Files collide with anything, explicit folders with files and other explicit
+  // folders, implicit parent folders only with files.
+  const isTaken = (path, kind) => {
+    const existing = claimed.get(getComparisonKey(path, profile));
+    if (!existing) return false;
+    if (kind === 'file') return true;
+    if (kind === 'folder') return existing !== 'implicit';
+    return existing === 'file';
+  };
+
+  const findFreeName = (parent, name, kind, sourceKey) => {
+    const [stem, extension] = kind === 'file' ? splitExtension(name) : [name, ''];
+    const isNameTaken = (candidate) => isTaken(joinPath(parent, candidate), kind);
+    if (collisions !== 'hash') {
+      return addCollisionSuffix(stem, isNameTaken, extension);
+    }
+
+    const base = `${stem}_${hashString(sourceKey)}`;
+    const candidate = `${base}${extension}`;
+    return isNameTaken(candidate) ? addCollisionSuffix(base, isNameTaken, extension) : candidate;
+  };
+
+  const claimPath = (desired, kind, segments) => {
+    const parts = desired.split('/');
+    const sourceKey = String(segments.length > 0 ? segments[segments.length - 1] : desired);
+    let resolved = '';
+
+    parts.forEach((part, index) => {
+      const isLast = index === parts.length - 1;
+      const partKind = isLast ? kind : 'implicit';
+      let name = makePortableName(part, profile);
+      const unsafeReason = getUnsafeSegmentReason(name);
+      if (unsafeReason) {
+        unsafe.push({ source: formatJSONPath(segments), key: desired, reason: unsafeReason });
+      }
+
+      if (isLast && byteLength(joinPath(resolved, name)) > profile.maxPathLength) {
+        const room = profile.maxPathLength - byteLength(joinPath(resolved, ''));
+        if (room >= 16) {
+          name = shortenName(name, room, `_${hashString(sourceKey)}`);
+        }
+      }
+
+      if (isTaken(joinPath(resolved, name), partKind)) {
+        if (collisions === 'error') {
+          conflicts.push({ source: formatJSONPath(segments), path: desired });
+        } else {
+          name = findFreeName(resolved, name, partKind, sourceKey);
+        }
+      }
+
+      resolved = joinPath(resolved, name);
+      const key = getComparisonKey(resolved, profile);
+      if (!claimed.has(key) || claimed.get(key) === 'implicit') {
+        claimed.set(key, partKind);
+      }
+    });
+
+    if (byteLength(resolved) > profile.maxPathLength) {
+      tooLong.push({ source: formatJSONPath(segments), path: resolved });
+    }
+
+    if (resolved !== desired) {
+      renames.push({ source: formatJSONPath(segments), from: desired, to: resolved });
+    }
+    return resolved;
+  };
+
+  const addFile = (path, content, segments) => {
+    const filePath = claimPath(path, 'file', segments);
+    files[filePath] = content;
+    return filePath;
+  };
+
+  const writeSerialized = (path, value, extension, content, encoding, segments) => {
+    const keepName = path.endsWith(extension) || (strategy.keysArePaths && hasExtension(path));
+    const filePath = addFile(keepName ? path : `${path}${extension}`, content, segments);
+    return { type: getJSONType(value), path: filePath, encoding };
+  };
+
+  const writeFile = (path, value, key, segments) => {
+    const { extension, encoding } = strategy.encodeValue(value, key);
+    const content = encoding === 'json' ? serializeJSON(value) : String(value);
+    const filePath = addFile(`${path}${extension}`, content, segments);
+    return { type: getJSONType(value), path: filePath, encoding };
+  };
+
+  const writeBinary = (path, value, key, binary, segments) => {
+    const desired = hasExtension(key) ? path : `${path}.${getExtensionForMediaType(binary.mediaType)}`;
+    const filePath = addFile(desired, binary.bytes, segments);
+    const node = { type: getJSONType(value), path: filePath, encoding: binary.encoding, mediaType: binary.mediaType };
+    return binary.encoding === 'dataUri'
+      ? { ...node, prefix: binary.prefix }
+      : { ...node, template: binary.template };
+  };
+
+  const addFolder = (path, segments) => {
+    return path ? claimPath(path, 'folder', segments) : path;
+  };
+
+  const processArray = (value, desiredPath, segments) => {
+    const { mode, fields } = getArrayRule(segments);
+
+    if (mode === 'index') {
+      const path = addFolder(desiredPath, segments);
+      return {
+        type: 'array',
+        path,
+        items: value.map((item, index) => (
+          processValue(item, joinPath(path, `item_${index}`), `item_${index}`, [...segments, index])
+        ))
+      };
+    }
+
+    if (mode === 'field') {
+      const path = addFolder(desiredPath, segments);
+      const names = nameArrayItems(value, fields);
+      return {
+        type: 'array',
+        path,
+        mode,
+        items: value.map((item, index) => (
+          writeSerialized(joinPath(path, names[index]), item, '.json', serializeJSON(item), 'json', [...segments, index])
+        ))
+      };
+    }
+
+    if (mode === 'jsonl') {
+      const lines = value.map(item => `${JSON.stringify(item)}\n`).join('');
+      return writeSerialized(desiredPath, value, '.jsonl', lines, 'jsonl', segments);
+    }
+
+    return writeSerialized(desiredPath, value, '.json', serializeJSON(value), 'json', segments);
+  };
+
+  const processValue = (value, desiredPath, key, segments) => {
+    const binary = decodeBinary ? detectBinaryValue(value) : null;
+    if (binary) {
+      return writeBinary(desiredPath, value, key, binary, segments);
+    }
+
+    if (Array.isArray(value)) {
+      return processArray(value, desiredPath, segments);
+    }
+
+    const isFolder = getJSONType(value) === 'object' &&
+      !(strategy.keysArePaths && hasExtension(key));
+
+    if (isFolder) {
+      const path = addFolder(desiredPath, segments);
+      const entries = [];
+      Object.entries(value).forEach(([childKey, child]) => {
+        addEntry(entries, path, childKey, child, segments);
+      });
+      return { type: 'object', path, entries };
+    }
+
+    return writeFile(desiredPath, value, key, segments);
+  };
+
+  // Lays out one key of a folder object, skipping it after recording why when it is unsafe
+  const addEntry = (entries, path, childKey, child, segments) => {
+    const childSegments = [...segments, childKey];
+    const entryPath = toEntryPath(childKey, childSegments);
+    if (entryPath !== null) {
+      entries.push({
+        key: childKey,
+        node: processValue(child, joinPath(path, entryPath), childKey, childSegments)
+      });
+    }
+  };
+
+  const manifestPath = joinPath(basePath, MANIFEST_FILENAME);
+  if (manifest) {
+    claimPath(manifestPath, 'file', []);
+  }
+
+  const processRoot = (data) => {
+    const isContainer = ['object', 'array'].includes(getJSONType(data)) &&
+      !(Array.isArray(data) && getArrayRule([]).mode !== 'index') &&
+      !(decodeBinary && detectBinaryValue(data));
+    return isContainer
+      ? processValue(data, basePath, '', [])
+      : processValue(data, joinPath(basePath, 'data'), 'data', []);
+  };
+
+  // The root node once members are being laid out as they are added
+  let streamedRoot = null;
+  // Elements of a top-level array that is written as one file
+  let heldItems = null;
+  // Leading $base64 and $type members, which may make the top-level object one binary file
+  let heldEntries = [];
+
+  const addMember = (key, value) => {
+    if (typeof key === 'number') {
+      if (getArrayRule([]).mode !== 'index') {
+        heldItems = heldItems || [];
+        heldItems.push(value);
+        return;
+      }
+      streamedRoot = streamedRoot || { type: 'array', path: addFolder(basePath, []), items: [] };
+      streamedRoot.items.push(processValue(value, joinPath(streamedRoot.path, `item_${key}`), `item_${key}`, [key]));
+      return;
+    }
+
+    if (!streamedRoot && decodeBinary && (key === '$base64' || key === '$type')) {
+      heldEntries.push([key, value]);
+      return;
+    }
+    if (!streamedRoot) {
+      streamedRoot = { type: 'object', path: addFolder(basePath, []), entries: [] };
+      heldEntries.forEach(([heldKey, heldValue]) => addEntry(streamedRoot.entries, streamedRoot.path, heldKey, heldValue, []));
+      heldEntries = [];
+    }
+    addEntry(streamedRoot.entries, streamedRoot.path, key, value, []);
+  };
+
+  const finish = (data) => {
+    let root = streamedRoot;
+    if (!root && heldItems) {
+      root = processRoot(heldItems);
+    } else if (!root && heldEntries.length > 0) {
+      const held = {};
+      heldEntries.forEach(([key, value]) => { held[key] = value; });
+      root = processRoot(held);
+    } else if (!root) {
+      root = processRoot(data);
+    }
+
+    if (unsafe.length > 0) {
+      const list = unsafe.map(({ source, reason }) => `${source} (${reason})`).join(', ');
+      throw new LayoutError(`${unsafe.length} unsafe key(s) rejected: ${list}`, unsafe);
+    }
+
+    if (tooLong.length > 0) {
+      const list = tooLong.map(({ source }) => source).join(', ');
+      throw new LayoutError(
+        `${tooLong.length} path(s) exceed the ${profile.maxPathLength} byte limit of the ${profile.label} profile: ${list}`,
+        tooLong
+      );
+    }
+
+    if (conflicts.length > 0) {
+      const list = conflicts.map(({ source, path }) => `${source} → ${path}`).join(', ');
+      throw new LayoutError(`${conflicts.length} filename collision(s): ${list}`, conflicts);
+    }
+
+    if (manifest) {
+      files[manifestPath] = serializeJSON({
+        format: 'json-zip-manifest',
+        version: MANIFEST_VERSION,
+        layout: {
+          strategy: strategy.name,
+          basePath,
+          arrays: defaultArrayMode,
+          arrayField: toFieldList(arrayField),
+          arrayRules: arrayRules.map(({ path, mode, field }) => ({ path, mode, field })),
+          pathSeparator,
+          decodeBinary,
+          collisions,
+          portability
+        },
+        root
+      });
+    }
+
+    return { files, renames };
+  };
+
+  return { addMember, finish };
+};
+
+/**
+ * Lays JSON data out as files using a named strategy
+ * @param {*} data - The JSON data to convert
+ * @param {Object} options - Layout options, see createLayoutBuilder
+ * @returns {Object} - { files, renames } where files maps paths to contents (strings, or
+ *   Uint8Array for binaries) and renames lists { source, from, to } for every rewritten path
+ * @throws {LayoutError} - When a key is empty, absolute or a traversal segment such as `..`,
+ *   when the collision policy is `error` and names collide, or when a path cannot be
+ *   shortened to the profile's length limit
+ */
+export const buildLayout = (data, options = {}) => createLayoutBuilder(options).finish(data);
+
+/**
+ * Lays JSON data out as files using a named strategy
+ * @param {*} data - The JSON data to convert
+ * @param {Object} options - Layout options, see buildLayout
+ * @returns {Object} - Flat map of file paths to file contents
+ */
+export const buildFileMap = (data, options = {}) => {
+  return buildLayout(data, options).files;
+};
@@ -0,0 +1,219 @@
+import { describe, expect, it } from 'vitest';
+import { addCollisionSuffix, buildFileMap, buildLayout, createLayoutBuilder, getLayoutStrategy } from './fileLayout';
+
+const data = { name: 'demo', count: 3, 'notes.md': '# hi', tags: ['a', 1], nested: { flag: true } };
+
+describe('buildFileMap', () => {
+  it('writes strings as text and other values and arrays as JSON with the typed strategy', () => {
+    expect(buildFileMap(data)).toEqual({
+      'name.json': 'demo',
+      'count.json': '3',
+      'notes.md': '# hi',
+      'tags.json': '[\n  "a",\n  1\n]',
+      'nested/flag.json': 'true'
+    });
+  });
+
+  it('writes every value as text in item_N folders with the text strategy', () => {
+    expect(buildFileMap(data, { strategy: 'text' })).toEqual({
+      'name.txt': 'demo',
+      'count.txt': '3',
+      'notes.md.txt': '# hi',
+      'tags/item_0.txt': 'a',
+      'tags/item_1.txt': '1',
+      'nested/flag.txt': 'true'
+    });
+  });
+
+  it('writes long strings as text with the auto strategy', () => {
+    const long = 'x'.repeat(101);
+    expect(buildFileMap({ short: 'x', long }, { strategy: 'auto' })).toEqual({
+      'short.json': '"x"',
+      'long.txt': long
+    });
+  });
+
+  it('names a top-level scalar data and puts everything under the base path', () => {
+    expect(buildFileMap(5, { basePath: 'out' })).toEqual({ 'out/data.json': '5' });
+    expect(Object.keys(buildFileMap({ a: 1 }, { basePath: 'out', manifest: true }))).toEqual([
+      'out/a.json',
+      'out/.json-zip-manifest.json'
+    ]);
+  });
+
+  it('writes dates as leaf values in their JSON form', () => {
+    const when = new Date(Date.UTC(2024, 0, 2));
+    expect(buildFileMap({ when })).toEqual({ 'when.json': '"2024-01-02T00:00:00.000Z"' });
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() => getLayoutStrategy('flat')).toThrow('Unknown layout strategy: flat');
+  });
+});
+
+describe('buildFileMap with the vfs strategy', () => {
+  it('splits keys into paths and writes strings verbatim', () => {
+    const data = { 'src/index.js': 'code', 'config.json': { a: 1 }, docs: { 'a b.md': 'text' }, count: 2 };
+    expect(buildFileMap(data, { strategy: 'vfs' })).toEqual({
+      'src/index.js': 'code',
+      'config.json': '{\n  "a": 1\n}',
+      'docs/a_b.md': 'text',
+      count: '2'
+    });
+  });
+
+  it('splits on the chosen separator', () => {
+    expect(Object.keys(buildFileMap({ 'a::b::c.txt': 'x', d: 'y' }, { strategy: 'vfs', pathSeparator: '::' }))).toEqual([
+      'a/b/c.txt',
+      'd'
+    ]);
+  });
+});
+
+describe('buildFileMap binaries', () => {
+  const png = 'data:image/png;base64,iVBORw==';
+
+  it('writes data URIs and $base64 objects as binary files with an extension for their type', () => {
+    const files = buildFileMap({ logo: png, 'icon.ico': png, raw: { $base64: 'AAE=' } });
+    expect(Object.keys(files)).toEqual(['logo.png', 'icon.ico', 'raw.bin']);
+    expect(files['logo.png']).toEqual(new Uint8Array([0x89, 0x50, 0x4e, 0x47]));
+    expect(files['raw.bin']).toEqual(new Uint8Array([0, 1]));
+  });
+
+  it('keeps the base64 text when decoding is off', () => {
+    expect(buildFileMap({ logo: png }, { decodeBinary: false })).toEqual({ 'logo.json': png });
+  });
+});
+
+describe('buildFileMap array modes', () => {
+  const users = { users: [{ id: 'ann', age: 30 }, { name: 'bob' }, { id: 'ann' }, 5] };
+
+  it('names elements from the first matching field and falls back to item_N for missing or repeated names', () => {
+    expect(Object.keys(buildFileMap(users, { arrays: 'field' }))).toEqual([
+      'users/item_0.json',
+      'users/bob.json',
+      'users/item_2.json',
+      'users/item_3.json'
+    ]);
+  });
+
+  it('writes a single JSON Lines file', () => {
+    expect(buildFileMap({ rows: [{ a: 1 }, 2] }, { arrays: 'jsonl' })).toEqual({
+      'rows.jsonl': '{"a":1}\n2\n'
+    });
+  });
+
+  it('applies the first rule whose JSONPath matches', () => {
+    const data = { a: [1], b: { c: [2] } };
+    const files = buildFileMap(data, {
+      arrays: 'json',
+      arrayRules: [
+        { path: '$..c', mode: 'jsonl', field: '' },
+        { path: '$.*', mode: 'index', field: '' }
+      ]
+    });
+    expect(Object.keys(files)).toEqual(['a/item_0.json', 'b/c.jsonl']);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => buildFileMap(users, { arrays: 'csv' })).toThrow('Unknown array mode: csv');
+  });
+});
+
+describe('addCollisionSuffix', () => {
+  it('adds the first free _N suffix before the extension', () => {
+    const taken = new Set(['a_1.json', 'a_2.json']);
+    expect(addCollisionSuffix('a', name => taken.has(name), '.json')).toBe('a_3.json');
+    expect(addCollisionSuffix('a', () => false)).toBe('a_1');
+  });
+});
+
+describe('buildLayout collisions', () => {
+  const data = { 'a:b': 1, 'a?b': 2, 'a b': 3 };
+
+  it('suffixes keys that sanitize to the same name and reports the renames', () => {
+    const { files, renames } = buildLayout(data);
+    expect(Object.keys(files)).toEqual(['a_b.json', 'a_b_1.json', 'a_b_2.json']);
+    expect(renames.map(({ to }) => to)).toEqual(['a_b_1.json', 'a_b_2.json']);
+  });
+
+  it('names collisions after a hash of the original key', () => {
+    const names = Object.keys(buildLayout(data, { collisions: 'hash' }).files);
+    expect(names[0]).toBe('a_b.json');
+    expect(names).toHaveLength(3);
+    names.slice(1).forEach(name => expect(name).toMatch(/^a_b_[0-9a-f]{8}\.json$/));
+  });
+
+  it('fails listing the colliding keys with the error policy', () => {
+    expect(() => buildLayout(data, { collisions: 'error' })).toThrow(/2 filename collision/);
+  });
+
+  it('treats names that differ by case as the same on case-insensitive profiles', () => {
+    const names = Object.keys(buildLayout({ Readme: 1, README: 2 }, { portability: 'windows' }).files);
+    expect(names).toEqual(['Readme.json', 'README_1.json']);
+  });
+
+  it('renames a file that takes the name of a folder', () => {
+    const { files } = buildLayout({ 'a/b': 1, a: 'x' }, { strategy: 'vfs' });
+    expect(Object.keys(files)).toEqual(['a/b', 'a_1']);
+  });
+});
+
+describe('buildLayout path safety', () => {
+  it('rejects traversal, absolute and empty keys and lists every offending key', () => {
+    const data = { '..': 1, ok: { '.': 2 }, '': 3 };
+    expect(() => buildLayout(data)).toThrow(/3 unsafe/);
+    expect(() => buildLayout({ '/etc/passwd': 'x' }, { strategy: 'vfs' })).toThrow(/absolute path/);
+    expect(() => buildLayout({ 'a/../b': 'x' }, { strategy: 'vfs' })).toThrow(/traversal segment/);
+    expect(() => buildLayout({ '::d': 'x' }, { strategy: 'vfs', pathSeparator: '::' })).toThrow(/empty path segment/);
+  });
+
+  it('writes vfs keys with drive letters or colons under their sanitized names', () => {
+    const { files } = buildLayout({ 'C:foo/x': 1, 'a:b/c': 2 }, { strategy: 'vfs' });
+    expect(Object.keys(files)).toEqual(['C_foo/x', 'a_b/c']);
+    expect(() => buildLayout({ '\\abs/x': 1 }, { strategy: 'vfs' })).toThrow(/absolute path/);
+  });
+
+  it('rejects an unsafe base path', () => {
+    expect(() => buildLayout({ a: 1 }, { basePath: '../out' })).toThrow('Unsafe base path "../out": traversal segment ".."');
+  });
+
+  it('falls back to item_N for unsafe element names', () => {
+    const { files } = buildLayout({ list: [{ id: '..' }, { id: 'ok' }] }, { arrays: 'field' });
+    expect(Object.keys(files)).toEqual(['list/item_0.json', 'list/ok.json']);
+  });
+});
+
+describe('createLayoutBuilder', () => {
+  // Adds every top-level member on its own, the way the streaming parser does
+  const buildFromMembers = (data, options) => {
+    const layout = createLayoutBuilder(options);
+    Object.entries(data).forEach(([key, value]) => layout.addMember(Array.isArray(data) ? Number(key) : key, value));
+    return layout.finish(Array.isArray(data) ? [] : {});
+  };
+
+  it('lays out members added one by one the same as the whole document', () => {
+    const document = { 'a:b': 1, 'a?b': 2, nested: { list: ['x', { id: 'y' }] }, logo: 'data:image/png;base64,iVBORw==' };
+    [{}, { manifest: true }, { strategy: 'vfs', basePath: 'out' }, { arrays: 'field', collisions: 'hash' }].forEach(options => {
+      expect(buildFromMembers(document, options)).toEqual(buildLayout(document, options));
+    });
+  });
+
+  it('lays out the elements of a top-level array as they are added, or as one file', () => {
+    const list = [{ id: 'a' }, { id: 'b' }];
+    expect(buildFromMembers(list, { manifest: true })).toEqual(buildLayout(list, { manifest: true }));
+    expect(Object.keys(buildFromMembers(list, { arrays: 'jsonl' }).files)).toEqual(['data.jsonl']);
+  });
+
+  it('keeps $base64 and $type members until the object is known not to be binary', () => {
+    expect(buildFromMembers({ $type: 'image/png', $base64: 'iVBORw==' })).toEqual(
+      buildLayout({ $type: 'image/png', $base64: 'iVBORw==' })
+    );
+    expect(Object.keys(buildFromMembers({ $base64: 'AAE=', other: 1 }).files)).toEqual(['$base64.json', 'other.json']);
+  });
+
+  it('lays out an empty or scalar document passed to finish', () => {
+    expect(createLayoutBuilder().finish({}).files).toEqual({});
+    expect(createLayoutBuilder().finish(5).files).toEqual({ 'data.json': '5' });
+  });
+});
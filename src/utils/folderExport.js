@@ -0,0 +1,165 @@
+/**
+ * Writes a file map into a directory on disk with the File System Access API.
+ */
+
+/**
+ * What to do with entries that already exist in the target folder
+ */
+export const FOLDER_CONFLICT_POLICIES = {
+  merge: {
+    name: 'merge',
+    label: 'Merge',
+    description: 'Existing folders are merged into and files with the same name are replaced. Where a file and a folder have the same name, the existing one is kept and that part of the export skipped.'
+  },
+  skip: {
+    name: 'skip',
+    label: 'Skip existing',
+    description: 'Existing folders are merged into; files that already exist are left untouched.'
+  },
+  overwrite: {
+    name: 'overwrite',
+    label: 'Overwrite',
+    description: 'Same as merge, except where a file and a folder have the same name: the existing one is deleted and replaced.'
+  }
+};
+
+/**
+ * Policy used when none is specified
+ */
+export const DEFAULT_FOLDER_CONFLICT_POLICY = 'merge';
+
+/**
+ * Checks whether the browser can write to local folders
+ * @returns {boolean} - True when showDirectoryPicker is available
+ */
+export const isFolderExportSupported = () => (
+  typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function'
+);
+
+/**
+ * Asks the user for a folder to write to
+ * @returns {Promise<FileSystemDirectoryHandle>} - The chosen folder. Rejects with an
+ *   AbortError if the user cancels.
+ */
+export const chooseDirectory = () => window.showDirectoryPicker({ mode: 'readwrite' });
+
+/**
+ * Gets a child handle if it exists
+ * @param {FileSystemDirectoryHandle} directory - The parent folder
+ * @param {string} name - Entry name
+ * @param {string} kind - 'file' or 'directory'
+ * @returns {Promise<FileSystemHandle|null>} - The handle, or null if there is no entry
+ *   of that kind
+ */
+const getExistingHandle = async (directory, name, kind) => {
+  try {
+    return kind === 'file'
+      ? await directory.getFileHandle(name)
+      : await directory.getDirectoryHandle(name);
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks whether an entry of any kind exists
+ * @param {FileSystemDirectoryHandle} directory - The parent folder
+ * @param {string} name - Entry name
+ * @returns {Promise<boolean>} - True if a file or folder with that name exists
+ */
+const entryExists = async (directory, name) => (
+  Boolean(await getExistingHandle(directory, name, 'file') || await getExistingHandle(directory, name, 'directory'))
+);
+
+/**
+ * Writes a file map into a folder, one file at a time. Existing entries are
+ * only replaced at the exact paths the export writes to.
+ * @param {Object} files - Map of path to content (string or Uint8Array)
+ * @param {FileSystemDirectoryHandle} root - The target folder
+ * @param {Object} options - { policy, onUpdate({ percent, currentFile }) }
+ * @returns {Promise<Object>} - { written, replaced, skipped, replacedFolders }
+ *   where written, replaced and skipped list the files of the export, and
+ *   replacedFolders the folders of the export that replaced an existing file
+ */
+export const exportToDirectory = async (files, root, options = {}) => {
+  const { policy = DEFAULT_FOLDER_CONFLICT_POLICY, onUpdate = () => {} } = options;
+  if (!FOLDER_CONFLICT_POLICIES[policy]) {
+    throw new Error(`Unknown folder conflict policy: ${policy}`);
+  }
+
+  const paths = Object.keys(files);
+  const directories = new Map([['', root]]);
+  const result = { written: [], replaced: [], skipped: [], replacedFolders: [] };
+
+  const getDirectory = async (path) => {
+    if (directories.has(path)) return directories.get(path);
+
+    const separator = path.lastIndexOf('/');
+    const parent = await getDirectory(separator === -1 ? '' : path.slice(0, separator));
+    const name = path.slice(separator + 1);
+    if (!parent) {
+      directories.set(path, null);
+      return null;
+    }
+
+    // A file where a folder is needed is only replaced when overwriting
+    if (await getExistingHandle(parent, name, 'file')) {
+      if (policy !== 'overwrite') {
+        directories.set(path, null);
+        return null;
+      }
+      await parent.removeEntry(name);
+      result.replacedFolders.push(path);
+    }
+
+    const directory = await parent.getDirectoryHandle(name, { create: true });
+    directories.set(path, directory);
+    return directory;
+  };
+
+  for (let index = 0; index < paths.length; index++) {
+    const path = paths[index];
+    onUpdate({ percent: (index / paths.length) * 100, currentFile: path });
+
+    const separator = path.lastIndexOf('/');
+    const directory = await getDirectory(separator === -1 ? '' : path.slice(0, separator));
+    const name = path.slice(separator + 1);
+
+    if (!directory) {
+      result.skipped.push(path);
+      continue;
+    }
+
+    const exists = await entryExists(directory, name);
+    if (exists && policy === 'skip') {
+      result.skipped.push(path);
+      continue;
+    }
+    // A folder where the file goes is only replaced when overwriting
+    if (exists && !await getExistingHandle(directory, name, 'file')) {
+      if (policy !== 'overwrite') {
+        result.skipped.push(path);
+        continue;
+      }
+      await directory.removeEntry(name, { recursive: true });
+    }
+
+    const fileHandle = await directory.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    try {
+      await writable.write(files[path]);
+      await writable.close();
+    } catch (error) {
+      await writable.abort().catch(() => {});
+      throw error;
+    }
+
+    result[exists ? 'replaced' : 'written'].push(path);
+  }
+
+  onUpdate({ percent: 100, currentFile: null });
+  return result;
+};
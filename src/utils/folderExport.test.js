@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { exportToDirectory } from './folderExport';
+
+const domError = (name) => Object.assign(new Error(name), { name });
+
+// In-memory stand-ins for File System Access handles
+const createFile = (content = '') => {
+  const file = {
+    kind: 'file',
+    content,
+    createWritable: async () => ({
+      write: async (data) => { file.content = data; },
+      close: async () => {},
+      abort: async () => {}
+    })
+  };
+  return file;
+};
+
+const createDirectory = (entries = {}) => ({
+  kind: 'directory',
+  entries,
+  async getFileHandle(name, { create = false } = {}) {
+    const entry = this.entries[name];
+    if (entry) {
+      if (entry.kind !== 'file') throw domError('TypeMismatchError');
+      return entry;
+    }
+    if (!create) throw domError('NotFoundError');
+    return (this.entries[name] = createFile());
+  },
+  async getDirectoryHandle(name, { create = false } = {}) {
+    const entry = this.entries[name];
+    if (entry) {
+      if (entry.kind !== 'directory') throw domError('TypeMismatchError');
+      return entry;
+    }
+    if (!create) throw domError('NotFoundError');
+    return (this.entries[name] = createDirectory());
+  },
+  async removeEntry(name) {
+    delete this.entries[name];
+  }
+});
+
+// a/keep is unrelated, a/x is replaced, b is a file where a folder goes and c a folder where a file goes
+const createTarget = () => createDirectory({
+  a: createDirectory({ keep: createFile('mine'), x: createFile('old') }),
+  b: createFile('file'),
+  c: createDirectory({ inner: createFile('inner') })
+});
+const files = { 'a/x': 'new', 'a/y': 'y', 'b/z': 'z', c: 'c' };
+
+describe('exportToDirectory', () => {
+  it('merges into folders and replaces files of the same name', async () => {
+    const root = createTarget();
+    const result = await exportToDirectory(files, root, { policy: 'merge' });
+
+    expect(result).toEqual({ written: ['a/y'], replaced: ['a/x'], skipped: ['b/z', 'c'], replacedFolders: [] });
+    expect(root.entries.a.entries.keep.content).toBe('mine');
+    expect(root.entries.a.entries.x.content).toBe('new');
+    expect(root.entries.b.kind).toBe('file');
+    expect(root.entries.c.kind).toBe('directory');
+  });
+
+  it('leaves existing files untouched with skip', async () => {
+    const root = createTarget();
+    const result = await exportToDirectory(files, root, { policy: 'skip' });
+
+    expect(result).toEqual({ written: ['a/y'], replaced: [], skipped: ['a/x', 'b/z', 'c'], replacedFolders: [] });
+    expect(root.entries.a.entries.x.content).toBe('old');
+  });
+
+  it('replaces only the conflicting entries with overwrite', async () => {
+    const root = createTarget();
+    const result = await exportToDirectory(files, root, { policy: 'overwrite' });
+
+    expect(result).toEqual({ written: ['a/y', 'b/z'], replaced: ['a/x', 'c'], skipped: [], replacedFolders: ['b'] });
+    expect(root.entries.a.entries.keep.content).toBe('mine');
+    expect(root.entries.b.entries.z.content).toBe('z');
+    expect(root.entries.c.content).toBe('c');
+  });
+
+  it('rejects unknown policies', async () => {
+    await expect(exportToDirectory(files, createTarget(), { policy: 'replace-all' })).rejects.toThrow(/Unknown folder conflict policy/);
+  });
+});
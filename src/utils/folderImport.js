@@ -0,0 +1,178 @@
+/**
+ * Reads a local folder, picked with `webkitdirectory` or dropped as a
+ * FileSystemDirectoryHandle, into a file map for convertFilesToJSON.
+ */
+
+import { formatFileSize } from './formatters';
+
+/**
+ * Default folder import settings. `include` and `exclude` are comma-separated
+ * glob lists; an empty include list matches every file.
+ */
+export const DEFAULT_FOLDER_IMPORT_OPTIONS = {
+  include: '',
+  exclude: '**/node_modules/**, **/.git/**, **/.DS_Store, **/Thumbs.db',
+  maxFileSize: 10 * 1024 * 1024,
+  maxTotalSize: 200 * 1024 * 1024,
+  binaryEncoding: 'dataUri'
+};
+
+/**
+ * How binary files are written into the JSON
+ */
+export const BINARY_ENCODINGS = {
+  dataUri: {
+    name: 'dataUri',
+    label: 'Data URI strings'
+  },
+  base64: {
+    name: 'base64',
+    label: '{ $base64, $type } objects'
+  }
+};
+
+/**
+ * Converts a glob to a regular expression matched against the whole path.
+ * `*` and `?` stay within one path segment, `**` spans segments, and a pattern
+ * without a slash matches the file name at any depth.
+ * @param {string} pattern - e.g. "node_modules/**" or "*.log"
+ * @returns {RegExp} - The compiled pattern
+ */
+export const globToRegExp = (pattern) => {
+  const glob = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length;
+      if (atStart && glob[i + 2] === '/') {
+        // "**/" also matches no folders at all
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += atEnd && atStart ? '.*' : '[^/]*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Compiles a comma-separated glob list
+ * @param {string} patterns - e.g. "node_modules/**, *.log"
+ * @returns {Array<RegExp>} - One expression per pattern
+ */
+const compileGlobs = (patterns) => String(patterns || '')
+  .split(',')
+  .map(pattern => pattern.trim())
+  .filter(Boolean)
+  .map(globToRegExp);
+
+/**
+ * Checks a path against compiled globs
+ * @param {string} path - Path relative to the imported folder
+ * @param {Array<RegExp>} globs - Compiled patterns
+ * @returns {boolean} - True if any pattern matches
+ */
+const matchesAny = (path, globs) => globs.some(glob => glob.test(path));
+
+/**
+ * Checks whether a dropped item can be read as a folder handle
+ * @returns {boolean} - True when DataTransferItem.getAsFileSystemHandle is available
+ */
+export const isFolderDropSupported = () => (
+  typeof DataTransferItem !== 'undefined' && 'getAsFileSystemHandle' in DataTransferItem.prototype
+);
+
+/**
+ * Lists the files of a `webkitdirectory` input. Paths are made relative to the
+ * picked folder.
+ * @param {FileList|Array<File>} fileList - Files with a webkitRelativePath
+ * @returns {Array<Object>} - { path, file } entries
+ */
+export const listFilesFromInput = (fileList) => Array.from(fileList).map(file => {
+  const relativePath = file.webkitRelativePath || file.name;
+  return {
+    path: relativePath.split('/').slice(1).join('/') || file.name,
+    file
+  };
+});
+
+/**
+ * Lists the files of a directory handle, skipping excluded folders without
+ * reading them
+ * @param {FileSystemDirectoryHandle} directory - The folder
+ * @param {Object} options - { exclude }
+ * @returns {Promise<Array<Object>>} - { path, file } entries
+ */
+export const listFilesFromHandle = async (directory, options = {}) => {
+  const exclude = compileGlobs(options.exclude ?? DEFAULT_FOLDER_IMPORT_OPTIONS.exclude);
+  const entries = [];
+
+  const walk = async (handle, prefix) => {
+    for await (const child of handle.values()) {
+      const path = `${prefix}${child.name}`;
+      if (child.kind === 'directory') {
+        if (!matchesAny(`${path}/`, exclude)) {
+          await walk(child, `${path}/`);
+        }
+      } else {
+        entries.push({ path, file: await child.getFile() });
+      }
+    }
+  };
+
+  await walk(directory, '');
+  return entries;
+};
+
+/**
+ * Filters folder entries and reads them into a file map
+ * @param {Array<Object>} entries - { path, file } entries
+ * @param {Object} options - { include, exclude, maxFileSize, maxTotalSize, onUpdate({ percent, currentFile }) }
+ * @returns {Promise<Object>} - { files, skipped } where files maps paths to
+ *   Uint8Array contents and skipped lists { path, reason }
+ */
+export const readFolderEntries = async (entries, options = {}) => {
+  const settings = { ...DEFAULT_FOLDER_IMPORT_OPTIONS, ...options };
+  const include = compileGlobs(settings.include);
+  const exclude = compileGlobs(settings.exclude);
+  const { onUpdate = () => {} } = options;
+
+  const skipped = [];
+  const selected = entries.filter(({ path, file }) => {
+    if (exclude.length > 0 && matchesAny(path, exclude)) return false;
+    if (include.length > 0 && !matchesAny(path, include)) return false;
+    if (settings.maxFileSize && file.size > settings.maxFileSize) {
+      skipped.push({ path, reason: `larger than ${formatFileSize(settings.maxFileSize)}` });
+      return false;
+    }
+    return true;
+  });
+
+  const totalSize = selected.reduce((sum, { file }) => sum + file.size, 0);
+  if (settings.maxTotalSize && totalSize > settings.maxTotalSize) {
+    throw new Error(`Folder contents are ${formatFileSize(totalSize)}, over the ${formatFileSize(settings.maxTotalSize)} limit. Narrow the include patterns or raise the limit.`);
+  }
+
+  const files = {};
+  let loaded = 0;
+  for (const { path, file } of selected) {
+    onUpdate({ percent: totalSize ? (loaded / totalSize) * 100 : 0, currentFile: path });
+    files[path] = new Uint8Array(await file.arrayBuffer());
+    loaded += file.size;
+  }
+
+  onUpdate({ percent: 100, currentFile: null });
+  return { files, skipped };
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { globToRegExp, listFilesFromHandle, listFilesFromInput, readFolderEntries } from './folderImport';
+
+const fileOf = (content, name = 'file') => new File([content], name);
+
+const entriesOf = (files) => Object.entries(files).map(([path, content]) => ({ path, file: fileOf(content) }));
+
+// A FileSystemDirectoryHandle over nested objects, with string leaves as files
+const directoryOf = (tree, name = '') => ({
+  kind: 'directory',
+  name,
+  async *values() {
+    for (const [childName, child] of Object.entries(tree)) {
+      yield typeof child === 'string'
+        ? { kind: 'file', name: childName, getFile: async () => fileOf(child, childName) }
+        : directoryOf(child, childName);
+    }
+  }
+});
+
+describe('globToRegExp', () => {
+  it('matches patterns without a slash at any depth', () => {
+    expect(globToRegExp('*.log').test('a.log')).toBe(true);
+    expect(globToRegExp('*.log').test('x/y/a.log')).toBe(true);
+    expect(globToRegExp('*.log').test('a.txt')).toBe(false);
+  });
+
+  it('keeps single stars within one segment', () => {
+    expect(globToRegExp('src/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/a.js')).toBe(false);
+    expect(globToRegExp('src/?.js').test('src/ab.js')).toBe(false);
+  });
+
+  it('lets double stars span any number of folders', () => {
+    const glob = globToRegExp('**/node_modules/**');
+    expect(glob.test('node_modules/a/b.js')).toBe(true);
+    expect(glob.test('pkg/node_modules/a.js')).toBe(true);
+    expect(glob.test('node_modules_backup/a.js')).toBe(false);
+  });
+});
+
+describe('listFilesFromInput', () => {
+  it('makes paths relative to the picked folder', () => {
+    const file = fileOf('x', 'b.txt');
+    Object.defineProperty(file, 'webkitRelativePath', { value: 'root/a/b.txt' });
+    expect(listFilesFromInput([file])).toEqual([{ path: 'a/b.txt', file }]);
+  });
+});
+
+describe('listFilesFromHandle', () => {
+  it('skips excluded folders without walking them', async () => {
+    const root = directoryOf({ a: { 'b.txt': 'x' }, node_modules: { 'c.js': 'y' } });
+    const entries = await listFilesFromHandle(root);
+    expect(entries.map(({ path }) => path)).toEqual(['a/b.txt']);
+  });
+});
+
+describe('readFolderEntries', () => {
+  it('applies include and exclude globs', async () => {
+    const entries = entriesOf({ 'a.json': '1', 'b.txt': 'x', 'c/d.json': '2', 'c/e.log': 'y' });
+    const { files } = await readFolderEntries(entries, { include: '*.json, *.txt', exclude: 'c/**' });
+    expect(Object.keys(files)).toEqual(['a.json', 'b.txt']);
+    expect(new TextDecoder().decode(files['a.json'])).toBe('1');
+  });
+
+  it('skips files over the size limit and reports them', async () => {
+    const entries = entriesOf({ small: 'x', large: 'xxxxxxxx' });
+    const { files, skipped } = await readFolderEntries(entries, { maxFileSize: 4 });
+    expect(Object.keys(files)).toEqual(['small']);
+    expect(skipped).toEqual([{ path: 'large', reason: 'larger than 4 Bytes' }]);
+  });
+
+  it('rejects folders over the total size limit', async () => {
+    const entries = entriesOf({ a: 'xxxx', b: 'xxxx' });
+    await expect(readFolderEntries(entries, { maxTotalSize: 6 })).rejects.toThrow(/over the 6 Bytes limit/);
+  });
+
+  it('reports progress per file', async () => {
+    const updates = [];
+    await readFolderEntries(entriesOf({ a: 'xx', b: 'xx' }), { onUpdate: update => updates.push(update) });
+    expect(updates).toEqual([
+      { percent: 0, currentFile: 'a' },
+      { percent: 50, currentFile: 'b' },
+      { percent: 100, currentFile: null }
+    ]);
+  });
+});
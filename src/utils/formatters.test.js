@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { formatDuration, formatFileSize } from './formatters';
+
+describe('formatFileSize', () => {
+  it('uses the largest unit below the size', () => {
+    expect(formatFileSize(0)).toBe('0 Bytes');
+    expect(formatFileSize(512)).toBe('512 Bytes');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats minutes and seconds, and hours when needed', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(61499)).toBe('1:01');
+    expect(formatDuration(3723000)).toBe('1:02:03');
+    expect(formatDuration(-5)).toBe('0:00');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * INI parser. Sections become objects and keys become string values; INI has
+ * no types, so values are kept as written.
+ */
+
+const SECTION = /^\[([^\]]*)\]\s*(?:[;#].*)?$/;
+const ENTRY = /^([^=:]+?)\s*[=:]\s*(.*)$/;
+
+/**
+ * Removes one pair of matching quotes around a value
+ * @param {string} value - The raw value
+ * @returns {string} - The unquoted value
+ */
+const unquote = (value) => {
+  const match = /^(["'])(.*)\1$/.exec(value);
+  return match ? match[2] : value;
+};
+
+// Keys such as __proto__ become own properties instead of changing the prototype
+const defineKey = (target, name, value) => {
+  Object.defineProperty(target, name, { value, enumerable: true, configurable: true, writable: true });
+};
+
+/**
+ * Parses an INI document. Keys before the first section are top-level; a
+ * section named "a.b" is nested as b inside a; "key[] = value" lines build an
+ * array. Lines starting with ";" or "#" are comments.
+ * @param {string} text - INI text
+ * @returns {Object} - Sections and keys
+ * @throws {SyntaxError} - For lines that are neither a section, an entry nor a comment
+ */
+export const parseINI = (text) => {
+  const root = {};
+  let section = root;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';') || line.startsWith('#')) return;
+
+    const fail = (message) => {
+      throw new SyntaxError(`${message} at line ${index + 1}, column ${rawLine.indexOf(line[0]) + 1}`);
+    };
+
+    const header = SECTION.exec(line);
+    if (header) {
+      const path = header[1].split('.').map(part => part.trim());
+      if (path.some(part => part === '')) fail(`Invalid section name "${header[1]}"`);
+
+      section = path.reduce((parent, part) => {
+        if (!Object.prototype.hasOwnProperty.call(parent, part)) {
+          defineKey(parent, part, {});
+        } else if (typeof parent[part] !== 'object' || Array.isArray(parent[part])) {
+          fail(`Section "${header[1]}" conflicts with the key "${part}"`);
+        }
+        return parent[part];
+      }, root);
+      return;
+    }
+
+    const entry = ENTRY.exec(line);
+    if (!entry) fail(`Expected "key = value" but found "${line}"`);
+
+    const [, key, value] = entry;
+    if (key.endsWith('[]')) {
+      const name = key.slice(0, -2).trim();
+      if (!Object.prototype.hasOwnProperty.call(section, name) || !Array.isArray(section[name])) defineKey(section, name, []);
+      section[name].push(unquote(value));
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(section, key) && typeof section[key] === 'object' && !Array.isArray(section[key])) {
+      fail(`Key "${key}" conflicts with the section of the same name`);
+    }
+    defineKey(section, key, unquote(value));
+  });
+
+  return root;
+};
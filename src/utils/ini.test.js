@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { parseINI } from './ini';
+
+describe('parseINI', () => {
+  it('nests dotted sections and keeps values as strings', () => {
+    const text = [
+      '; comment',
+      'top = 1',
+      '',
+      '[server.http]',
+      'port: 8080',
+      '# another comment',
+      'host = "localhost"'
+    ].join('\n');
+
+    expect(parseINI(text)).toEqual({
+      top: '1',
+      server: { http: { port: '8080', host: 'localhost' } }
+    });
+  });
+
+  it('builds arrays from key[] lines', () => {
+    expect(parseINI('[paths]\nitem[] = a\nitem[] = b\n')).toEqual({ paths: { item: ['a', 'b'] } });
+  });
+
+  it('keeps __proto__ sections and keys as plain keys', () => {
+    const result = parseINI('[__proto__]\n__proto__ = a\n[list]\n__proto__[] = b\n');
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+    expect(JSON.stringify(result)).toBe('{"__proto__":{"__proto__":"a"},"list":{"__proto__":["b"]}}');
+    expect(() => parseINI('__proto__ = a\n[__proto__]\n')).toThrow(/conflicts with the key/);
+  });
+
+  it('reports lines that are not entries', () => {
+    expect(() => parseINI('[a]\njust text\n')).toThrow(/line 2/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Combines several uploaded, dropped or pasted JSON files into one document.
+ */
+
+import { addCollisionSuffix } from './fileLayout';
+import { isSupportedInputFile } from './inputFormats';
+
+/**
+ * How several input files are combined
+ */
+export const MULTI_FILE_MODES = {
+  folders: {
+    name: 'folders',
+    label: 'Each file in its own folder',
+    description: 'Every file becomes a top-level folder named after it.'
+  },
+  merge: {
+    name: 'merge',
+    label: 'Merge into one document',
+    description: 'Objects are merged key by key and arrays are concatenated; for other values the last file wins.'
+  }
+};
+
+/**
+ * Mode used when none is specified
+ */
+export const DEFAULT_MULTI_FILE_MODE = 'folders';
+
+/**
+ * Keeps the files that look like a supported input format, judged by name or
+ * content rather than by MIME type
+ * @param {Array<File>} files - The files
+ * @returns {Promise<Array<File>>} - The supported files in their original order
+ */
+export const filterInputFiles = async (files) => {
+  const supported = await Promise.all(files.map(isSupportedInputFile));
+  return files.filter((_, index) => supported[index]);
+};
+
+/**
+ * Gets the folder name for an input file
+ * @param {string} filename - e.g. "users.json"
+ * @returns {string} - The name without its extension, e.g. "users"
+ */
+export const getDocumentName = (filename) => filename.replace(/\.[^.]+$/, '') || filename;
+
+/**
+ * Gets a distinct folder name for each input file. Names that only differ
+ * by case count as the same, and repeats get a numeric suffix, e.g. "data",
+ * "data_1".
+ * @param {Array<string>} filenames - The file names in input order
+ * @param {Function} toName - Turns a file name and its index into a folder name
+ * @returns {Array<string>} - The folder names in the same order
+ */
+export const getDocumentKeys = (filenames, toName = getDocumentName) => {
+  const used = new Set();
+  return filenames.map((filename, index) => {
+    const name = toName(filename, index);
+    const isTaken = (key) => used.has(key.toLowerCase());
+    const key = isTaken(name) ? addCollisionSuffix(name, isTaken) : name;
+    used.add(key.toLowerCase());
+    return key;
+  });
+};
+
+// Keys such as __proto__ become own properties instead of changing the prototype
+const defineKey = (target, key, value) => {
+  Object.defineProperty(target, key, { value, enumerable: true, configurable: true, writable: true });
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date);
+
+/**
+ * Deep-merges one document into another
+ * @param {*} target - The merged result so far
+ * @param {*} source - The next document
+ * @returns {*} - The merged value
+ */
+const mergeValues = (target, source) => {
+  if (isPlainObject(target) && isPlainObject(source)) {
+    const result = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+      defineKey(result, key, Object.prototype.hasOwnProperty.call(result, key) ? mergeValues(result[key], value) : value);
+    });
+    return result;
+  }
+  if (Array.isArray(target) && Array.isArray(source)) {
+    return [...target, ...source];
+  }
+  return source;
+};
+
+/**
+ * Combines parsed input files into one document
+ * @param {Array<Object>} documents - { name, data } in input order
+ * @param {string} mode - Key of MULTI_FILE_MODES
+ * @returns {*} - The combined document
+ */
+export const combineDocuments = (documents, mode = DEFAULT_MULTI_FILE_MODE) => {
+  if (!MULTI_FILE_MODES[mode]) {
+    throw new Error(`Unknown multi-file mode: ${mode}`);
+  }
+
+  if (mode === 'merge') {
+    return documents.reduce((result, { data }, index) => (index === 0 ? data : mergeValues(result, data)), {});
+  }
+
+  const result = {};
+  const keys = getDocumentKeys(documents.map(({ name }) => name));
+  documents.forEach(({ data }, index) => {
+    defineKey(result, keys[index], data);
+  });
+  return result;
+};
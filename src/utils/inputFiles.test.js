@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { combineDocuments, filterInputFiles, getDocumentKeys } from './inputFiles';
+
+describe('combineDocuments', () => {
+  it('puts each file in a folder named after it', () => {
+    const documents = [
+      { name: 'users.json', data: [1] },
+      { name: 'config.json', data: { a: 1 } }
+    ];
+    expect(combineDocuments(documents)).toEqual({ users: [1], config: { a: 1 } });
+  });
+
+  it('suffixes files with the same name', () => {
+    const documents = [
+      { name: 'data.json', data: 1 },
+      { name: 'data.json', data: 2 },
+      { name: 'data', data: 3 }
+    ];
+    expect(combineDocuments(documents, 'folders')).toEqual({ data: 1, data_1: 2, data_2: 3 });
+  });
+
+  it('merges objects key by key and concatenates arrays', () => {
+    const documents = [
+      { name: 'a.json', data: { list: [1], nested: { x: 1, y: 1 }, value: 'a' } },
+      { name: 'b.json', data: { list: [2], nested: { y: 2 }, value: 'b', extra: true } }
+    ];
+    expect(combineDocuments(documents, 'merge')).toEqual({
+      list: [1, 2],
+      nested: { x: 1, y: 2 },
+      value: 'b',
+      extra: true
+    });
+  });
+
+  it('lets the last file win when values cannot be merged', () => {
+    const documents = [{ name: 'a.json', data: { a: 1 } }, { name: 'b.json', data: [1] }];
+    expect(combineDocuments(documents, 'merge')).toEqual([1]);
+  });
+
+  it('keeps __proto__ file names and keys as plain keys', () => {
+    const folders = combineDocuments([{ name: '__proto__.json', data: { a: 1 } }]);
+    expect(Object.getPrototypeOf(folders)).toBe(Object.prototype);
+    expect(Object.keys(folders)).toEqual(['__proto__']);
+
+    const documents = [
+      { name: 'a.json', data: JSON.parse('{"__proto__": {"x": 1}}') },
+      { name: 'b.json', data: JSON.parse('{"__proto__": {"y": 2}}') }
+    ];
+    const merged = combineDocuments(documents, 'merge');
+    expect(Object.getPrototypeOf(merged)).toBe(Object.prototype);
+    expect(Object.getOwnPropertyDescriptor(merged, '__proto__').value).toEqual({ x: 1, y: 2 });
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => combineDocuments([], 'zip')).toThrow('Unknown multi-file mode: zip');
+  });
+});
+
+describe('filterInputFiles', () => {
+  it('keeps supported files in their original order', async () => {
+    const files = [
+      new File(['{}'], 'a.json', { type: '' }),
+      new File(['plain words'], 'notes.txt', { type: 'text/plain' }),
+      new File(['[1]'], 'data', { type: 'application/octet-stream' })
+    ];
+    expect((await filterInputFiles(files)).map(({ name }) => name)).toEqual(['a.json', 'data']);
+  });
+});
+
+describe('getDocumentKeys', () => {
+  it('suffixes names that only differ by case', () => {
+    expect(getDocumentKeys(['a.json', 'A.yaml', 'b.json'])).toEqual(['a', 'A_1', 'b']);
+  });
+
+  it('names folders with the given function', () => {
+    expect(getDocumentKeys(['x.json', 'y.json'], (filename, index) => `file${index}`)).toEqual(['file0', 'file1']);
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Input formats the converter can read. Every format has a `parse(text, options)`
+ * that returns the data to lay out; `parseInput` detects the format from the content
+ * when it is set to 'auto'. Formats that skip bad parts of the input instead of
+ * failing report them through `options.onWarning({ line, message })`.
+ */
+
+import yaml from 'js-yaml';
+import JSON5 from 'json5';
+import { DEFAULT_CSV_OPTIONS, parseCSV } from './csv';
+import { parseINI } from './ini';
+import { looksLikeJSONLines, parseJSONLinesText } from './jsonLines';
+import { createJSONStreamParser } from './jsonStream';
+import { parseTOML } from './toml';
+
+/**
+ * Bytes read from the start of a file to decide whether it can be converted
+ */
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Start of a YAML document: a directive, a document marker, or a first line
+ * that is a mapping key or a list item, after any comment lines
+ */
+const YAML_START = /^(?:\s*#.*\n)*\s*(?:%YAML|---|- |[^\s#:][^\n:]*:(?:\s|$))/;
+
+/**
+ * Start of a TOML or INI document: after comment lines and an optional
+ * `[section]` header, a `key = value` line
+ */
+const INI_START = /^(?:\s*[#;].*\n)*\s*(?:\[[^\]\n]+\]\]?[ \t]*\r?\n(?:\s*[#;].*\n)*\s*)?(?:[\w.-][\w .-]*|"[^"\n]*"|'[^'\n]*')[ \t]*=/;
+
+/**
+ * Gets the line and column of an offset in a text
+ * @param {string} text - The text
+ * @param {number} position - Offset in characters
+ * @returns {Object} - { line, column }, both starting at 1
+ */
+export const getLineColumn = (text, position) => {
+  const before = text.slice(0, position);
+  const line = before.split('\n').length;
+  return { line, column: position - before.lastIndexOf('\n') };
+};
+
+/**
+ * Parses strict JSON. JSON.parse messages differ between browsers and do not
+ * always give a position, so errors come from the streaming parser instead.
+ * @param {string} text - JSON text
+ * @returns {*} - The parsed value
+ * @throws {SyntaxError} - With a "line N, column M" location
+ */
+const parseStrictJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    let located = error;
+    try {
+      const parser = createJSONStreamParser();
+      parser.write(text);
+      parser.end();
+    } catch (streamError) {
+      located = streamError;
+    }
+
+    const match = /at position (\d+)/.exec(located.message);
+    if (!match) throw new SyntaxError(located.message);
+    // The streaming parser counts the offending character itself
+    const { line, column } = getLineColumn(text, Math.max(0, Number(match[1]) - 1));
+    throw new SyntaxError(located.message.replace(/at position \d+/, `at line ${line}, column ${column}`));
+  }
+};
+
+/**
+ * Blanks out comments and trailing commas outside strings. Removed characters
+ * become spaces, and newlines are kept, so error positions still match the input.
+ * @param {string} text - JSONC text
+ * @returns {string} - Strict JSON text
+ */
+export const stripJSONComments = (text) => {
+  const output = text.split('');
+  let index = 0;
+  // Position of the last comma that may turn out to be trailing
+  let pendingComma = -1;
+
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (output[i] !== '\n' && output[i] !== '\r') output[i] = ' ';
+    }
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '"') {
+      pendingComma = -1;
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        index += text[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '/' && text[index + 1] === '/') {
+      const end = text.indexOf('\n', index);
+      const stop = end === -1 ? text.length : end;
+      blank(index, stop);
+      index = stop;
+    } else if (char === '/' && text[index + 1] === '*') {
+      const end = text.indexOf('*/', index + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      blank(index, stop);
+      index = stop;
+    } else if (char === ',') {
+      pendingComma = index;
+      index++;
+    } else if (char === '}' || char === ']') {
+      if (pendingComma !== -1) blank(pendingComma, pendingComma + 1);
+      pendingComma = -1;
+      index++;
+    } else {
+      if (!/\s/.test(char)) pendingComma = -1;
+      index++;
+    }
+  }
+
+  return output.join('');
+};
+
+/**
+ * YAML 1.2 core schema plus `<<` merge keys. Timestamps are not in the core
+ * schema, so dates stay strings instead of becoming Date objects.
+ */
+const YAML_SCHEMA = yaml.CORE_SCHEMA.extend({ implicit: [yaml.types.merge] });
+
+/**
+ * Parses a YAML stream. Anchors, aliases and merge keys are resolved.
+ * @param {string} text - YAML text, possibly several `---` documents
+ * @param {Object} options - { yamlDocumentFolders }
+ * @returns {*} - A single document as is; several documents as `document_N`
+ *   folders, or as an array when yamlDocumentFolders is false
+ */
+const parseYAML = (text, { yamlDocumentFolders = true } = {}) => {
+  let documents;
+  try {
+    documents = yaml.loadAll(text, null, { schema: YAML_SCHEMA });
+  } catch (error) {
+    if (!error.mark) throw error;
+    throw new SyntaxError(`${error.reason} at line ${error.mark.line + 1}, column ${error.mark.column + 1}`);
+  }
+
+  if (documents.length <= 1) return documents.length === 1 ? documents[0] : null;
+  if (!yamlDocumentFolders) return documents;
+
+  const result = {};
+  documents.forEach((document, index) => {
+    result[`document_${index + 1}`] = document;
+  });
+  return result;
+};
+
+/**
+ * Supported input formats. `extensions` are used for the file picker and to
+ * recognise files by name.
+ */
+export const INPUT_FORMATS = {
+  json: {
+    name: 'json',
+    label: 'JSON',
+    description: 'Strict JSON',
+    extensions: ['json', 'geojson'],
+    parse: parseStrictJSON
+  },
+  jsonc: {
+    name: 'jsonc',
+    label: 'JSONC',
+    description: 'JSON with comments and trailing commas',
+    extensions: ['jsonc'],
+    parse: (text) => parseStrictJSON(stripJSONComments(text))
+  },
+  json5: {
+    name: 'json5',
+    label: 'JSON5',
+    description: 'Unquoted keys, single quotes, comments, hex numbers and more',
+    extensions: ['json5'],
+    parse: (text) => {
+      try {
+        return JSON5.parse(text);
+      } catch (error) {
+        const location = error.lineNumber ? ` at line ${error.lineNumber}, column ${error.columnNumber}` : '';
+        throw new SyntaxError(`${error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '')}${location}`);
+      }
+    }
+  },
+  yaml: {
+    name: 'yaml',
+    label: 'YAML',
+    description: 'YAML, including multi-document streams',
+    extensions: ['yaml', 'yml'],
+    parse: parseYAML
+  },
+  ndjson: {
+    name: 'ndjson',
+    label: 'JSON Lines',
+    description: 'One JSON value per line (NDJSON); each line becomes its own file or folder',
+    extensions: ['jsonl', 'ndjson'],
+    parse: (text, { jsonLinesNameField, onWarning }) => (
+      parseJSONLinesText(text, { nameField: jsonLinesNameField, onWarning })
+    )
+  },
+  toml: {
+    name: 'toml',
+    label: 'TOML',
+    description: 'TOML 1.0, such as Cargo.toml and pyproject.toml',
+    extensions: ['toml'],
+    parse: parseTOML
+  },
+  ini: {
+    name: 'ini',
+    label: 'INI',
+    description: 'INI sections and key = value pairs; values stay strings',
+    extensions: ['ini', 'cfg'],
+    parse: parseINI
+  },
+  csv: {
+    name: 'csv',
+    label: 'CSV',
+    description: 'Comma-separated values; columns give the folder path, file name and contents',
+    extensions: ['csv'],
+    parse: (text, { csv, onWarning }) => parseCSV(text, { ...csv, onWarning })
+  },
+  tsv: {
+    name: 'tsv',
+    label: 'TSV',
+    description: 'Tab-separated values; columns give the folder path, file name and contents',
+    extensions: ['tsv', 'tab'],
+    parse: (text, { csv, onWarning }) => parseCSV(text, { ...csv, delimiter: 'tab', onWarning })
+  }
+};
+
+/**
+ * Pseudo format that detects the format from the content
+ */
+export const AUTO_INPUT_FORMAT = 'auto';
+
+/**
+ * Format used when none is specified
+ */
+export const DEFAULT_INPUT_FORMAT = AUTO_INPUT_FORMAT;
+
+/**
+ * Default input settings. `yamlDocumentFolders` puts each document of a
+ * multi-document YAML stream in its own top-level folder; `jsonLinesNameField`
+ * names JSON Lines records after a field instead of their line number; `csv`
+ * holds the CSV and TSV settings.
+ */
+export const DEFAULT_INPUT_OPTIONS = {
+  format: DEFAULT_INPUT_FORMAT,
+  yamlDocumentFolders: true,
+  jsonLinesNameField: '',
+  csv: DEFAULT_CSV_OPTIONS
+};
+
+/**
+ * Value for the `accept` attribute of file inputs
+ */
+export const INPUT_FILE_ACCEPT = Object.values(INPUT_FORMATS)
+  .flatMap(({ extensions }) => extensions.map(extension => `.${extension}`))
+  .join(',');
+
+/**
+ * Gets the format registered for a file name's extension
+ * @param {string} filename - e.g. "tsconfig.jsonc"
+ * @returns {string|null} - Key of INPUT_FORMATS, or null if the extension is unknown
+ */
+export const getFormatForFilename = (filename = '') => {
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const format = Object.values(INPUT_FORMATS).find(({ extensions }) => extensions.includes(extension));
+  return format ? format.name : null;
+};
+
+/**
+ * Formats tried in order when detecting from content, most strict first. INI
+ * accepts almost any text with an "=" in each line, so it is only tried after
+ * TOML, for content that looks like either. JSON Lines skips malformed lines,
+ * so it is only tried for content that starts like it. Any text is valid CSV,
+ * so CSV and TSV are only read by extension or when chosen.
+ */
+const DETECTION_ORDER = ['json', 'jsonc', 'json5', 'yaml', 'toml'];
+
+/**
+ * Formats tried right after the preferred one
+ */
+const DETECTION_FALLBACKS = { toml: ['ini'] };
+
+/**
+ * Formats whose errors are reported without trying others. A .csv file that
+ * fails as CSV, e.g. for an unknown column, is not YAML either.
+ */
+const EXCLUSIVE_FORMATS = ['csv', 'tsv'];
+
+/**
+ * Checks whether text starts like a JSON document, ignoring comments
+ * @param {string} text - The text, or its start
+ * @returns {boolean} - True if the first significant character is `{` or `[`
+ */
+const looksLikeJSON = (text) => /^[{[]/.test(stripJSONComments(text).trimStart());
+
+/**
+ * Guesses the format of text from its start
+ * @param {string} text - The text
+ * @returns {string} - 'toml' for `key = value` content, which may also be INI,
+ *   'ndjson' for a JSON value per line, 'json' for other text starting with
+ *   `{` or `[`, 'yaml' otherwise
+ */
+const guessFormat = (text) => {
+  if (INI_START.test(text)) return 'toml';
+  if (looksLikeJSONLines(text)) return 'ndjson';
+  return looksLikeJSON(text) ? 'json' : 'yaml';
+};
+
+/**
+ * Parses text, detecting the format from the content when it is 'auto'. A
+ * detected format is the first that parses, starting with the one the file
+ * name suggests, or the one guessed from the content (see guessFormat).
+ * If none parses, the error of that first format is reported.
+ * @param {string} text - The input
+ * @param {Object} options - { format, filename } plus format settings such as yamlDocumentFolders
+ * @returns {Object} - { data, format, warnings } where warnings lists the
+ *   { line, message } parts of the input that were skipped
+ * @throws {SyntaxError} - "Invalid <format> format: <reason>" with the line and column
+ */
+export const parseInput = (text, options = {}) => {
+  const { format = DEFAULT_INPUT_FORMAT, filename } = options;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  // Warnings are collected per attempt, so formats that fail during detection leave none
+  const parseAs = (name) => {
+    const warnings = [];
+    const data = INPUT_FORMATS[name].parse(input, { ...options, onWarning: (warning) => warnings.push(warning) });
+    return { data, format: name, warnings };
+  };
+
+  if (format !== AUTO_INPUT_FORMAT) {
+    const definition = INPUT_FORMATS[format];
+    if (!definition) {
+      throw new Error(`Unknown input format: ${format}`);
+    }
+    try {
+      return parseAs(format);
+    } catch (error) {
+      throw new SyntaxError(`Invalid ${definition.label} format: ${error.message}`);
+    }
+  }
+
+  const preferred = getFormatForFilename(filename) || guessFormat(input);
+  const order = EXCLUSIVE_FORMATS.includes(preferred)
+    ? [preferred]
+    : [...new Set([preferred, ...(DETECTION_FALLBACKS[preferred] || []), ...DETECTION_ORDER])];
+  let firstError = null;
+
+  for (const name of order) {
+    try {
+      return parseAs(name);
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+  throw new SyntaxError(`Invalid ${INPUT_FORMATS[preferred].label} format: ${firstError.message}`);
+};
+
+/**
+ * Checks from the first bytes of a file whether it is text that looks like a
+ * supported format, whatever its name or MIME type
+ * @param {File} file - The file
+ * @returns {Promise<boolean>} - True if the file should be converted
+ */
+export const isSupportedInputFile = async (file) => {
+  if (getFormatForFilename(file.name)) return true;
+
+  const head = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  if (head.includes(0)) return false;
+
+  // TextDecoder drops a byte order mark
+  const text = new TextDecoder().decode(head);
+  return looksLikeJSON(text) || YAML_START.test(text) || INI_START.test(text);
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { getFormatForFilename, isSupportedInputFile, parseInput, stripJSONComments } from './inputFormats';
+
+describe('stripJSONComments', () => {
+  it('blanks comments and trailing commas but keeps positions', () => {
+    const text = '{\n  // note\n  "a": "//x", /* b */\n  "c": [1, 2,],\n}';
+    const stripped = stripJSONComments(text);
+    expect(stripped).toHaveLength(text.length);
+    expect(stripped.split('\n')).toHaveLength(text.split('\n').length);
+    expect(JSON.parse(stripped)).toEqual({ a: '//x', c: [1, 2] });
+  });
+});
+
+describe('getFormatForFilename', () => {
+  it('maps extensions to formats', () => {
+    expect(getFormatForFilename('tsconfig.jsonc')).toBe('jsonc');
+    expect(getFormatForFilename('DATA.JSON5')).toBe('json5');
+    expect(getFormatForFilename('map.geojson')).toBe('json');
+    expect(getFormatForFilename('notes.txt')).toBeNull();
+    expect(getFormatForFilename('')).toBeNull();
+  });
+});
+
+describe('parseInput', () => {
+  it('parses the chosen format', () => {
+    expect(parseInput('{ a: 1, b: [0x10, Infinity], }', { format: 'json5' }).data).toEqual({ a: 1, b: [16, Infinity] });
+    expect(parseInput('{"a": 1, /* c */}', { format: 'jsonc' }).data).toEqual({ a: 1 });
+  });
+
+  it('reports errors of the chosen format with a line and column', () => {
+    expect(() => parseInput('{\n  "a": 1,\n}', { format: 'json' })).toThrow(/^Invalid JSON format: .*at line 3, column 1/);
+  });
+
+  it('detects the format from the content', () => {
+    expect(parseInput('{"a": 1}').format).toBe('json');
+    expect(parseInput('{"a": 1, // comment\n}').format).toBe('jsonc');
+    expect(parseInput("{a: 'x'}").format).toBe('json5');
+  });
+
+  it('tries the format the file name suggests first', () => {
+    expect(parseInput('{"a": 1}', { filename: 'a.json5' }).format).toBe('json5');
+  });
+
+  it('ignores a byte order mark', () => {
+    expect(parseInput('\uFEFF{"a": 1}', { format: 'json' }).data).toEqual({ a: 1 });
+  });
+
+  it('reports the error of the first format tried when nothing parses', () => {
+    expect(() => parseInput('[1, 2')).toThrow(/^Invalid JSON format/);
+  });
+});
+
+describe('parseInput with YAML', () => {
+  it('resolves anchors, aliases and merge keys', () => {
+    const text = 'base: &base\n  a: 1\n  b: 2\nderived:\n  <<: *base\n  b: 3\nlist: [*base]\n';
+    expect(parseInput(text, { format: 'yaml' }).data).toEqual({
+      base: { a: 1, b: 2 },
+      derived: { a: 1, b: 3 },
+      list: [{ a: 1, b: 2 }]
+    });
+  });
+
+  it('keeps dates as strings', () => {
+    expect(parseInput('when: 2024-01-02', { format: 'yaml' }).data).toEqual({ when: '2024-01-02' });
+  });
+
+  it('puts several documents in document_N folders, or an array', () => {
+    const text = 'a: 1\n---\nb: 2\n';
+    expect(parseInput(text, { format: 'yaml' }).data).toEqual({ document_1: { a: 1 }, document_2: { b: 2 } });
+    expect(parseInput(text, { format: 'yaml', yamlDocumentFolders: false }).data).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  it('is detected for text that is not JSON', () => {
+    expect(parseInput('a:\n  - 1\n  - 2\n').format).toBe('yaml');
+    expect(parseInput('a: 1', { filename: 'config.yml' }).format).toBe('yaml');
+  });
+
+  it('reports errors with a line and column', () => {
+    expect(() => parseInput('a: 1\n  b: 2\n', { format: 'yaml' })).toThrow(/^Invalid YAML format: .*at line 2, column \d+/);
+  });
+});
+
+describe('isSupportedInputFile', () => {
+  it('accepts known extensions and JSON-like content', async () => {
+    expect(await isSupportedInputFile(new File(['anything'], 'a.json'))).toBe(true);
+    expect(await isSupportedInputFile(new File(['  [1, 2]'], 'data'))).toBe(true);
+  });
+
+  it('rejects binary content and plain text', async () => {
+    expect(await isSupportedInputFile(new File([new Uint8Array([123, 0, 1])], 'data'))).toBe(false);
+    expect(await isSupportedInputFile(new File(['just some words'], 'notes.txt'))).toBe(false);
+  });
+});
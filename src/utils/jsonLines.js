@@ -0,0 +1,119 @@
+/**
+ * JSON Lines (NDJSON) input. Every line holds one JSON value, a record, that
+ * becomes its own file or folder. Text is split into lines as it arrives, and
+ * a malformed line is reported and left out instead of failing the input.
+ */
+
+import { addCollisionSuffix } from './fileLayout';
+
+/**
+ * Gets the name a record gets from a field
+ * @param {*} record - The parsed line
+ * @param {string} field - Field name, empty to name records by line number
+ * @returns {string} - The field's value, or '' when it is not a string or number
+ */
+const getRecordName = (record, field) => {
+  if (!field || typeof record !== 'object' || record === null || Array.isArray(record)) return '';
+  const value = record[field];
+  return ['string', 'number'].includes(typeof value) && String(value) !== '' ? String(value) : '';
+};
+
+/**
+ * Makes a JSON.parse message independent of the line it came from
+ * @param {Error} error - The JSON.parse error
+ * @returns {string} - The reason without a position
+ */
+const getReason = (error) => error.message.replace(/ in JSON at position \d+.*$/, '').replace(/^JSON\.parse: /, '');
+
+/**
+ * Creates an incremental JSON Lines parser. Records are keyed `line_N` after
+ * their line number, or by the value of `nameField`; repeated names get a
+ * numeric suffix, e.g. "a", "a_1".
+ * @param {Object} options - { nameField, onWarning({ line, message }), onMember(key, record) }
+ *   where onWarning is called for each malformed line, and onMember, when given,
+ *   receives each record instead of it being kept
+ * @returns {Object} - { write(text), end() } where end returns the records,
+ *   an empty object when they were handed to onMember
+ * @throws {SyntaxError} - From end, when no line holds valid JSON
+ */
+export const createJSONLinesParser = ({ nameField = '', onWarning = () => {}, onMember } = {}) => {
+  const records = {};
+  const names = new Set();
+  let buffer = '';
+  let lineNumber = 0;
+  let recordCount = 0;
+  let firstProblem = null;
+
+  const addLine = (line) => {
+    lineNumber++;
+    const text = line.trim();
+    if (!text) return;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      const reason = getReason(error);
+      firstProblem = firstProblem || { line: lineNumber, reason };
+      onWarning({ line: lineNumber, message: `${reason}; the line was skipped` });
+      return;
+    }
+
+    const name = getRecordName(record, nameField) || `line_${lineNumber}`;
+    const isTaken = (key) => names.has(key);
+    const key = isTaken(name) ? addCollisionSuffix(name, isTaken) : name;
+    names.add(key);
+    if (onMember) {
+      onMember(key, record);
+    } else {
+      Object.defineProperty(records, key, { value: record, enumerable: true, configurable: true, writable: true });
+    }
+    recordCount++;
+  };
+
+  return {
+    write(text) {
+      const lines = (buffer + text).split('\n');
+      buffer = lines.pop();
+      lines.forEach(addLine);
+    },
+
+    end() {
+      if (buffer) addLine(buffer);
+      buffer = '';
+      if (recordCount === 0 && firstProblem) {
+        throw new SyntaxError(`${firstProblem.reason} at line ${firstProblem.line}`);
+      }
+      return records;
+    }
+  };
+};
+
+/**
+ * Parses JSON Lines text
+ * @param {string} text - One JSON value per line
+ * @param {Object} options - As for createJSONLinesParser
+ * @returns {Object} - The records keyed by name
+ */
+export const parseJSONLinesText = (text, options) => {
+  const parser = createJSONLinesParser(options);
+  parser.write(text);
+  return parser.end();
+};
+
+/**
+ * Checks whether text starts like JSON Lines: a first line that is a whole
+ * JSON object or array on its own, followed by another line
+ * @param {string} text - The text, or its start
+ * @returns {boolean} - True if the text looks like JSON Lines
+ */
+export const looksLikeJSONLines = (text) => {
+  const match = /^\s*([{[][^\n]*)\r?\n\s*\S/.exec(text);
+  if (!match) return false;
+  try {
+    JSON.parse(match[1]);
+    return true;
+  } catch {
+    return false;
+  }
+};
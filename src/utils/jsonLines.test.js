@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { createJSONLinesParser, looksLikeJSONLines, parseJSONLinesText } from './jsonLines';
+
+describe('parseJSONLinesText', () => {
+  it('keys records by line number and ignores blank lines', () => {
+    expect(parseJSONLinesText('{"a":1}\n\n[2]\r\n"three"\n')).toEqual({
+      line_1: { a: 1 },
+      line_3: [2],
+      line_4: 'three'
+    });
+  });
+
+  it('names records by a field and suffixes repeated names', () => {
+    const text = '{"id":"a"}\n{"id":"a"}\n{"id":"b"}\n{"name":"x"}\n';
+    expect(Object.keys(parseJSONLinesText(text, { nameField: 'id' }))).toEqual(['a', 'a_1', 'b', 'line_4']);
+  });
+
+  it('skips malformed lines and reports them', () => {
+    const warnings = [];
+    const records = parseJSONLinesText('{"a":1}\n{oops}\n{"b":2}', { onWarning: warning => warnings.push(warning) });
+
+    expect(Object.keys(records)).toEqual(['line_1', 'line_3']);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].line).toBe(2);
+    expect(warnings[0].message).toMatch(/property name/);
+  });
+
+  it('fails when no line holds valid JSON', () => {
+    expect(() => parseJSONLinesText('nope\nstill nope')).toThrow(/at line 1/);
+  });
+});
+
+describe('createJSONLinesParser', () => {
+  it('joins lines split across writes', () => {
+    const parser = createJSONLinesParser();
+    ['{"a":', '1}\n{"b"', ':2}'].forEach(chunk => parser.write(chunk));
+    expect(parser.end()).toEqual({ line_1: { a: 1 }, line_2: { b: 2 } });
+  });
+
+  it('hands records on instead of keeping them, still suffixing repeated names', () => {
+    const members = [];
+    const parser = createJSONLinesParser({ nameField: 'id', onMember: key => members.push(key) });
+    parser.write('{"id":"a"}\n{"id":"a"}\n{"x":1}\n');
+
+    expect(parser.end()).toEqual({});
+    expect(members).toEqual(['a', 'a_1', 'line_3']);
+  });
+});
+
+describe('looksLikeJSONLines', () => {
+  it('needs a complete value on the first line and another line after it', () => {
+    expect(looksLikeJSONLines('{"a":1}\n{"a":2}')).toBe(true);
+    expect(looksLikeJSONLines('{"a":1}')).toBe(false);
+    expect(looksLikeJSONLines('{\n  "a": 1\n}')).toBe(false);
+    expect(looksLikeJSONLines('a: 1\nb: 2')).toBe(false);
+  });
+});
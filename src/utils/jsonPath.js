@@ -0,0 +1,99 @@
+/**
+ * Minimal JSONPath support for matching the location of a value.
+ * Supports `$`, `.key`, `['key']`, `[0]`, `*`, `[*]` and `..` (any depth).
+ */
+
+/**
+ * Splits a JSONPath expression into tokens
+ * @param {string} expression - JSONPath such as $.users[*].tags
+ * @returns {Array} - Tokens of type key, wildcard or descend
+ */
+export const parseJSONPath = (expression) => {
+  const source = expression.trim();
+  if (!source.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${expression}`);
+  }
+
+  const tokens = [];
+  const pattern = /\.\.|\.([^.[\]]+)|\[(\*|\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Invalid JSONPath at position ${start}: ${expression}`);
+    }
+
+    if (match[0] === '..') {
+      tokens.push({ type: 'descend' });
+      // `..key` and `..*` carry their segment without a leading dot
+      const rest = /[^.[\]]+/y;
+      rest.lastIndex = pattern.lastIndex;
+      const segment = rest.exec(source);
+      if (segment) {
+        tokens.push(segment[0] === '*' ? { type: 'wildcard' } : { type: 'key', value: segment[0] });
+        pattern.lastIndex = rest.lastIndex;
+      }
+    } else if (match[1] !== undefined) {
+      tokens.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'key', value: match[1] });
+    } else if (match[2] === '*') {
+      tokens.push({ type: 'wildcard' });
+    } else if (/^\d+$/.test(match[2])) {
+      tokens.push({ type: 'key', value: match[2] });
+    } else {
+      tokens.push({ type: 'key', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Checks whether a location matches a JSONPath expression
+ * @param {string|Array} expression - JSONPath expression or tokens from parseJSONPath
+ * @param {Array} segments - Keys and indexes leading to the value, root first
+ * @returns {boolean} - True if the location matches
+ */
+export const matchesJSONPath = (expression, segments) => {
+  const tokens = typeof expression === 'string' ? parseJSONPath(expression) : expression;
+
+  const match = (tokenIndex, segmentIndex) => {
+    if (tokenIndex === tokens.length) {
+      return segmentIndex === segments.length;
+    }
+
+    const token = tokens[tokenIndex];
+    if (token.type === 'descend') {
+      for (let next = segmentIndex; next <= segments.length; next++) {
+        if (match(tokenIndex + 1, next)) return true;
+      }
+      return false;
+    }
+
+    if (segmentIndex === segments.length) {
+      return false;
+    }
+
+    if (token.type === 'wildcard' || token.value === String(segments[segmentIndex])) {
+      return match(tokenIndex + 1, segmentIndex + 1);
+    }
+
+    return false;
+  };
+
+  return match(0, 0);
+};
+
+/**
+ * Formats a location as a JSONPath expression
+ * @param {Array} segments - Keys and indexes leading to the value, root first
+ * @returns {string} - JSONPath such as $.users[0].name
+ */
+export const formatJSONPath = (segments) => {
+  return segments.reduce((path, segment) => {
+    if (typeof segment === 'number') return `${path}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${path}.${segment}`;
+    return `${path}['${segment.replace(/['\\]/g, '\\$&')}']`;
+  }, '$');
+};
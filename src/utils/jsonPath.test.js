@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { formatJSONPath, matchesJSONPath, parseJSONPath } from './jsonPath';
+
+describe('parseJSONPath', () => {
+  it('splits keys, indexes, wildcards and descents', () => {
+    expect(parseJSONPath("$.users[*]..name['a.b'][0]")).toEqual([
+      { type: 'key', value: 'users' },
+      { type: 'wildcard' },
+      { type: 'descend' },
+      { type: 'key', value: 'name' },
+      { type: 'key', value: 'a.b' },
+      { type: 'key', value: '0' }
+    ]);
+  });
+
+  it('rejects expressions that do not start with $ or cannot be read', () => {
+    expect(() => parseJSONPath('users')).toThrow(/must start with \$/);
+    expect(() => parseJSONPath('$.a[')).toThrow(/Invalid JSONPath at position 3/);
+  });
+});
+
+describe('matchesJSONPath', () => {
+  it('matches exact locations, wildcards and any depth', () => {
+    expect(matchesJSONPath('$.users', ['users'])).toBe(true);
+    expect(matchesJSONPath('$.users', ['users', 0])).toBe(false);
+    expect(matchesJSONPath('$.users[*].tags', ['users', 3, 'tags'])).toBe(true);
+    expect(matchesJSONPath('$..tags', ['a', 'b', 'tags'])).toBe(true);
+    expect(matchesJSONPath('$..tags', ['tags', 'b'])).toBe(false);
+    expect(matchesJSONPath('$', [])).toBe(true);
+  });
+});
+
+describe('formatJSONPath', () => {
+  it('uses dot notation where it can and quotes other keys', () => {
+    expect(formatJSONPath(['users', 0, 'first name', "it's"])).toBe("$.users[0]['first name']['it\\'s']");
+  });
+});
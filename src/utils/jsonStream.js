@@ -0,0 +1,335 @@
+/**
+ * Incremental JSON parser. Text is fed in chunks and values are built as soon
+ * as their tokens are complete, so a large file never has to exist as one
+ * string next to the parsed document. Members of the top-level object or array
+ * can be handed on as they are completed instead of being kept, so the whole
+ * document never has to exist at once either.
+ */
+
+import { formatFileSize } from './formatters';
+
+/**
+ * Largest file the streaming parser accepts. The parsed document is laid out
+ * member by member, but the generated files are kept until the archive is
+ * written, so the limit leaves room for them and the archive next to each other.
+ */
+export const MAX_STREAM_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Bytes read from a file per chunk
+ */
+export const STREAM_CHUNK_SIZE = 4 * 1024 * 1024;
+
+const WHITESPACE = ' \t\n\r';
+const NUMBER_CHARACTERS = /[0-9+\-.eE]*/y;
+const LITERAL_CHARACTERS = /[a-z]*/y;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+const STRING_DELIMITERS = /["\\]/g;
+
+/**
+ * Sets a property the way JSON.parse does, including `__proto__` as an own key
+ * @param {Object} target - The object being built
+ * @param {string} key - The property name
+ * @param {*} value - The property value
+ */
+const setProperty = (target, key, value) => {
+  if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, enumerable: true, configurable: true, writable: true });
+  } else {
+    target[key] = value;
+  }
+};
+
+/**
+ * Creates an incremental JSON parser
+ * @param {Object} options - { onMember(key, value) } where onMember, when given,
+ *   receives each completed member of the top-level object or array (keyed by
+ *   property name or index) instead of it being added to the document
+ * @returns {Object} - { write(text), end() } where end returns the parsed value,
+ *   an empty object or array when its members were handed to onMember
+ */
+export const createJSONStreamParser = ({ onMember } = {}) => {
+  // Parser states: what the next significant character may be
+  const VALUE = 'value';
+  const KEY = 'key';
+  const COLON = 'colon';
+  const AFTER_VALUE = 'afterValue';
+  const STRING = 'string';
+  const NUMBER = 'number';
+  const LITERAL = 'literal';
+  const DONE = 'done';
+
+  const stack = [];
+  let state = VALUE;
+  let allowClose = false;
+  let token = '';
+  let stringIsKey = false;
+  let escaped = false;
+  let root;
+  let position = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${position}`);
+  };
+
+  const isRootMember = () => Boolean(onMember) && stack.length === 1;
+
+  // Key of the next member of a container: its property name, or its index
+  const takeMemberKey = (container) => (Array.isArray(container.value) ? container.count++ : container.key);
+
+  // Containers are added to their parent when they open; root members are
+  // handed on when they close, once they are complete
+  const pushValue = (value, isContainer = false) => {
+    const top = stack[stack.length - 1];
+    if (!top) {
+      root = value;
+      state = DONE;
+      return;
+    }
+    if (isRootMember()) {
+      if (!isContainer) onMember(takeMemberKey(top), value);
+    } else if (Array.isArray(top.value)) {
+      top.value.push(value);
+    } else {
+      setProperty(top.value, top.key, value);
+    }
+    state = AFTER_VALUE;
+  };
+
+  const openContainer = (value) => {
+    const member = isRootMember() ? { key: takeMemberKey(stack[0]) } : null;
+    pushValue(value, true);
+    stack.push({ value, key: null, count: 0, member });
+    state = Array.isArray(value) ? VALUE : KEY;
+    allowClose = true;
+  };
+
+  const closeContainer = (char) => {
+    const top = stack[stack.length - 1];
+    if (!top || Array.isArray(top.value) !== (char === ']')) {
+      fail(`Unexpected "${char}"`);
+    }
+    stack.pop();
+    if (top.member) onMember(top.member.key, top.value);
+    state = stack.length === 0 ? DONE : AFTER_VALUE;
+  };
+
+  const finishNumber = () => {
+    if (!NUMBER_PATTERN.test(token)) {
+      fail(`Invalid number "${token}"`);
+    }
+    const value = Number(token);
+    token = '';
+    pushValue(value);
+  };
+
+  const finishLiteral = () => {
+    if (!Object.prototype.hasOwnProperty.call(LITERALS, token)) {
+      fail(`Unexpected token "${token}"`);
+    }
+    const value = LITERALS[token];
+    token = '';
+    pushValue(value);
+  };
+
+  const finishString = () => {
+    let value;
+    try {
+      value = JSON.parse(`"${token}"`);
+    } catch {
+      fail('Invalid string');
+    }
+    token = '';
+    if (stringIsKey) {
+      stack[stack.length - 1].key = value;
+      state = COLON;
+    } else {
+      pushValue(value);
+    }
+  };
+
+  /**
+   * Consumes string characters from text starting at index
+   * @returns {number} - Index after the consumed characters
+   */
+  const readString = (text, index) => {
+    const start = index;
+    let i = index;
+
+    if (escaped) {
+      if (i >= text.length) return i;
+      escaped = false;
+      i++;
+    }
+
+    while (i < text.length) {
+      STRING_DELIMITERS.lastIndex = i;
+      const match = STRING_DELIMITERS.exec(text);
+      if (!match) {
+        i = text.length;
+        break;
+      }
+      if (match[0] === '"') {
+        token += text.slice(start, match.index);
+        position += match.index + 1 - index;
+        finishString();
+        return match.index + 1;
+      }
+      if (match.index + 1 >= text.length) {
+        escaped = true;
+        i = text.length;
+        break;
+      }
+      i = match.index + 2;
+    }
+
+    token += text.slice(start, i);
+    position += i - index;
+    return i;
+  };
+
+  const readValueStart = (char) => {
+    if (char === '{') return openContainer({});
+    if (char === '[') return openContainer([]);
+    if (char === '"') {
+      stringIsKey = false;
+      state = STRING;
+      return undefined;
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      token = char;
+      state = NUMBER;
+      return undefined;
+    }
+    if (char >= 'a' && char <= 'z') {
+      token = char;
+      state = LITERAL;
+      return undefined;
+    }
+    return fail(`Unexpected "${char}"`);
+  };
+
+  const write = (text) => {
+    let i = 0;
+    while (i < text.length) {
+      if (state === STRING) {
+        i = readString(text, i);
+        continue;
+      }
+
+      if (state === NUMBER || state === LITERAL) {
+        const pattern = state === NUMBER ? NUMBER_CHARACTERS : LITERAL_CHARACTERS;
+        pattern.lastIndex = i;
+        const length = pattern.exec(text)[0].length;
+        token += text.slice(i, i + length);
+        i += length;
+        position += length;
+        if (i >= text.length) continue;
+        if (state === NUMBER) finishNumber();
+        else finishLiteral();
+      }
+
+      const char = text[i];
+
+      i++;
+      position++;
+      if (WHITESPACE.includes(char)) continue;
+
+      switch (state) {
+        case VALUE:
+          if (char === ']' && allowClose) {
+            closeContainer(char);
+          } else {
+            allowClose = false;
+            readValueStart(char);
+          }
+          break;
+        case KEY:
+          if (char === '}' && allowClose) {
+            closeContainer(char);
+          } else if (char === '"') {
+            allowClose = false;
+            stringIsKey = true;
+            state = STRING;
+          } else {
+            fail(`Expected a property name but found "${char}"`);
+          }
+          break;
+        case COLON:
+          if (char !== ':') fail(`Expected ":" but found "${char}"`);
+          state = VALUE;
+          break;
+        case AFTER_VALUE:
+          if (char === ',') {
+            state = Array.isArray(stack[stack.length - 1].value) ? VALUE : KEY;
+            allowClose = false;
+          } else if (char === '}' || char === ']') {
+            closeContainer(char);
+          } else {
+            fail(`Expected "," or a closing bracket but found "${char}"`);
+          }
+          break;
+        case DONE:
+          fail(`Unexpected "${char}" after the end of the document`);
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  const end = () => {
+    if (state === NUMBER) finishNumber();
+    if (state === LITERAL) finishLiteral();
+    if (state !== DONE) {
+      fail('Unexpected end of JSON input');
+    }
+    return root;
+  };
+
+  return { write, end };
+};
+
+/**
+ * Throws when a file is too large to read
+ * @param {Blob} blob - The file
+ * @param {number} maxBytes - Largest accepted size
+ */
+export const assertFileSize = (blob, maxBytes = MAX_STREAM_BYTES) => {
+  if (blob.size > maxBytes) {
+    throw new Error(`File is ${formatFileSize(blob.size)}, which is over the ${formatFileSize(maxBytes)} limit for input files`);
+  }
+};
+
+/**
+ * Parses a JSON file chunk by chunk
+ * @param {Blob} blob - The file to parse
+ * @param {Object} options - { chunkSize, maxBytes, onProgress({ loaded, total }), parser }
+ *   where parser is any { write(text), end() } parser, a JSON parser by default
+ * @returns {Promise<*>} - The parsed value
+ */
+export const parseJSONBlob = async (blob, options = {}) => {
+  const {
+    chunkSize = STREAM_CHUNK_SIZE,
+    maxBytes = MAX_STREAM_BYTES,
+    onProgress = () => {},
+    parser = createJSONStreamParser()
+  } = options;
+
+  assertFileSize(blob, maxBytes);
+
+  const decoder = new TextDecoder('utf-8');
+  let loaded = 0;
+
+  onProgress({ loaded, total: blob.size });
+  while (loaded < blob.size) {
+    const chunk = new Uint8Array(await blob.slice(loaded, loaded + chunkSize).arrayBuffer());
+    loaded += chunk.length;
+    parser.write(decoder.decode(chunk, { stream: loaded < blob.size }));
+    onProgress({ loaded, total: blob.size });
+  }
+  parser.write(decoder.decode());
+
+  return parser.end();
+};
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { createJSONStreamParser, parseJSONBlob } from './jsonStream';
+
+const sample = {
+  text: 'line\n"quoted" \\ é 😀',
+  numbers: [0, -1, 1.5, 2e10, -3.25E-2],
+  flags: [true, false, null],
+  nested: { empty: {}, list: [], deep: [{ a: 1 }, [2, [3]]] }
+};
+const sampleText = JSON.stringify(sample, null, 2);
+
+// Feeds the text in pieces of the given size
+const parseInPieces = (text, size) => {
+  const parser = createJSONStreamParser();
+  for (let index = 0; index < text.length; index += size) {
+    parser.write(text.slice(index, index + size));
+  }
+  return parser.end();
+};
+
+describe('createJSONStreamParser', () => {
+  it('parses the same as JSON.parse however the text is split', () => {
+    [1, 2, 7, sampleText.length].forEach(size => {
+      expect(parseInPieces(sampleText, size)).toEqual(JSON.parse(sampleText));
+    });
+  });
+
+  it('keeps __proto__ as an own key', () => {
+    const result = parseInPieces('{"__proto__": {"polluted": true}}', 3);
+    expect(Object.keys(result)).toEqual(['__proto__']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('parses top-level scalars', () => {
+    expect(parseInPieces('42', 1)).toBe(42);
+    expect(parseInPieces('"x"', 1)).toBe('x');
+    expect(parseInPieces(' null ', 1)).toBeNull();
+  });
+
+  it('hands top-level members on once they are complete instead of keeping them', () => {
+    const members = [];
+    const parser = createJSONStreamParser({ onMember: (key, value) => members.push([key, value]) });
+    parser.write('{"a": {"b": [1, {"c": 2}]}, "d": 3, "e": [4');
+    expect(members).toEqual([['a', { b: [1, { c: 2 }] }], ['d', 3]]);
+    parser.write(']}');
+
+    expect(parser.end()).toEqual({});
+    expect(members[2]).toEqual(['e', [4]]);
+  });
+
+  it('keys the members of a top-level array by index', () => {
+    const members = [];
+    const parser = createJSONStreamParser({ onMember: (key, value) => members.push([key, value]) });
+    parser.write('[{"a": 1}, [2], "x"]');
+
+    expect(parser.end()).toEqual([]);
+    expect(members).toEqual([[0, { a: 1 }], [1, [2]], [2, 'x']]);
+  });
+
+  it('rejects invalid JSON with a SyntaxError', () => {
+    ['{"a": 1,}', '[1 2]', '{"a" 1}', '01', 'tru', '[1]]', '{"a": 1'].forEach(text => {
+      expect(() => parseInPieces(text, 2)).toThrow(SyntaxError);
+    });
+  });
+});
+
+describe('parseJSONBlob', () => {
+  it('reads a file in chunks and reports the bytes read', async () => {
+    const blob = new Blob([sampleText]);
+    const updates = [];
+    const result = await parseJSONBlob(blob, { chunkSize: 16, onProgress: update => updates.push(update) });
+
+    expect(result).toEqual(JSON.parse(sampleText));
+    expect(updates[0]).toEqual({ loaded: 0, total: blob.size });
+    expect(updates[updates.length - 1]).toEqual({ loaded: blob.size, total: blob.size });
+  });
+
+  it('decodes characters split across chunks', async () => {
+    const blob = new Blob([JSON.stringify(['é😀'])]);
+    expect(await parseJSONBlob(blob, { chunkSize: 1 })).toEqual(['é😀']);
+  });
+
+  it('rejects files over the size limit', async () => {
+    await expect(parseJSONBlob(new Blob(['[1, 2, 3]']), { maxBytes: 4 })).rejects.toThrow(/over the .* limit/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Path traversal checks for every path that is written to or read from an archive.
+ */
+
+/**
+ * Explains why a single path segment is unsafe
+ * @param {string} segment - The path segment
+ * @returns {string|null} - Reason, or null if the segment is safe
+ */
+export const getUnsafeSegmentReason = (segment) => {
+  if (segment.length === 0) return 'empty path segment';
+  if (segment === '.' || segment === '..') return `traversal segment "${segment}"`;
+  if (segment.includes('\u0000')) return 'NUL character';
+  return null;
+};
+
+/**
+ * Checks whether a path is absolute (leading slash, backslash or drive letter)
+ * @param {string} path - The path to check
+ * @returns {boolean} - True for absolute paths
+ */
+export const isAbsolutePath = (path) => /^([\\/]|[A-Za-z]:)/.test(path);
+
+/**
+ * Explains why a relative path is unsafe to write or extract
+ * @param {string} path - The path to check
+ * @param {string} separator - Separator between segments
+ * @returns {string|null} - Reason, or null if the path is safe
+ */
+export const getUnsafePathReason = (path, separator = '/') => {
+  if (path.length === 0) return 'empty path';
+  if (isAbsolutePath(path)) return 'absolute path';
+
+  for (const segment of path.split(separator)) {
+    const reason = getUnsafeSegmentReason(segment);
+    if (reason) return reason;
+  }
+  return null;
+};
+
+/**
+ * Explains why an archive entry name is unsafe to extract. Backslashes are
+ * treated as separators because some extractors honour them.
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string|null} - Reason, or null if the entry is safe
+ */
+export const getUnsafeEntryReason = (name) => {
+  const path = name.replace(/\\/g, '/').replace(/\/$/, '');
+  return getUnsafePathReason(path, '/');
+};
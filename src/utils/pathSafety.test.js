@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { getUnsafeEntryReason, getUnsafePathReason, isAbsolutePath } from './pathSafety';
+
+describe('isAbsolutePath', () => {
+  it('accepts leading slashes and drive letters', () => {
+    ['/abs', '\\abs', 'C:', 'C:\\x', 'c:/x', 'C:foo'].forEach(path => {
+      expect(isAbsolutePath(path)).toBe(true);
+    });
+  });
+
+  it('accepts relative paths', () => {
+    ['ab:', 'a', 'a/b:c'].forEach(path => {
+      expect(isAbsolutePath(path)).toBe(false);
+    });
+  });
+});
+
+describe('getUnsafePathReason', () => {
+  it('explains why a path is unsafe', () => {
+    expect(getUnsafePathReason('')).toBe('empty path');
+    expect(getUnsafePathReason('/etc/passwd')).toBe('absolute path');
+    expect(getUnsafePathReason('a//b')).toBe('empty path segment');
+    expect(getUnsafePathReason('a/../b')).toBe('traversal segment ".."');
+    expect(getUnsafePathReason('a/./b')).toBe('traversal segment "."');
+    expect(getUnsafePathReason('a\u0000b')).toBe('NUL character');
+  });
+
+  it('accepts relative paths', () => {
+    expect(getUnsafePathReason('a/b.json')).toBeNull();
+    expect(getUnsafePathReason('ab:c/..d')).toBeNull();
+  });
+
+  it('splits on the given separator', () => {
+    expect(getUnsafePathReason('a.b', '.')).toBeNull();
+    expect(getUnsafePathReason('a..b', '.')).toBe('empty path segment');
+  });
+});
+
+describe('getUnsafeEntryReason', () => {
+  it('treats backslashes in entry names as separators', () => {
+    expect(getUnsafeEntryReason('a\\..\\b')).toBe('traversal segment ".."');
+    expect(getUnsafeEntryReason('C:\\Windows')).toBe('absolute path');
+  });
+
+  it('accepts folder entries with a trailing slash', () => {
+    expect(getUnsafeEntryReason('folder/')).toBeNull();
+  });
+});
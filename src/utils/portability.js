@@ -0,0 +1,158 @@
+/**
+ * Filename portability profiles. Each profile describes the restrictions of a
+ * target platform and is used to validate and rewrite archive paths.
+ */
+
+const WINDOWS_RESERVED_NAMES = [
+  'CON', 'PRN', 'AUX', 'NUL',
+  'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
+  'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
+];
+
+/**
+ * Named portability profiles.
+ * Characters `isInvalidCharacter` accepts are replaced with `_`, `reservedNames` are prefixed with `_`
+ * whatever their extension, `trimTrailing` strips trailing dots and spaces,
+ * `caseInsensitive` makes names that differ only by case collide and the
+ * length limits are measured in UTF-8 bytes.
+ */
+export const PORTABILITY_PROFILES = {
+  posix: {
+    name: 'posix',
+    label: 'POSIX (Linux)',
+    isInvalidCharacter: (char) => char.charCodeAt(0) === 0 || char === '/',
+    reservedNames: [],
+    trimTrailing: false,
+    caseInsensitive: false,
+    maxComponentLength: 255,
+    maxPathLength: 4096
+  },
+  windows: {
+    name: 'windows',
+    label: 'Windows',
+    isInvalidCharacter: (char) => char.charCodeAt(0) < 0x20 || '<>:"/\\|?*'.includes(char),
+    reservedNames: WINDOWS_RESERVED_NAMES,
+    trimTrailing: true,
+    caseInsensitive: true,
+    maxComponentLength: 255,
+    maxPathLength: 260
+  },
+  macos: {
+    name: 'macos',
+    label: 'macOS',
+    isInvalidCharacter: (char) => char.charCodeAt(0) === 0 || char === '/' || char === ':',
+    reservedNames: [],
+    trimTrailing: false,
+    caseInsensitive: true,
+    maxComponentLength: 255,
+    maxPathLength: 1024
+  },
+  portable: {
+    name: 'portable',
+    label: 'Strict portable',
+    isInvalidCharacter: (char) => !/[A-Za-z0-9._-]/.test(char),
+    reservedNames: WINDOWS_RESERVED_NAMES,
+    trimTrailing: true,
+    noLeadingHyphen: true,
+    caseInsensitive: true,
+    maxComponentLength: 255,
+    maxPathLength: 260
+  }
+};
+
+/**
+ * Profile used when none is specified
+ */
+export const DEFAULT_PORTABILITY_PROFILE = 'posix';
+
+/**
+ * Looks up a portability profile by name
+ * @param {string} name - The profile name
+ * @returns {Object} - The profile definition
+ */
+export const getPortabilityProfile = (name = DEFAULT_PORTABILITY_PROFILE) => {
+  const profile = PORTABILITY_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown portability profile: ${name}`);
+  }
+  return profile;
+};
+
+/**
+ * Gets the length of a string in UTF-8 bytes
+ * @param {string} value - The string to measure
+ * @returns {number} - Length in bytes
+ */
+export const byteLength = (value) => new TextEncoder().encode(value).length;
+
+/**
+ * Truncates a string to a number of UTF-8 bytes without splitting characters
+ * @param {string} value - The string to truncate
+ * @param {number} maxBytes - Maximum length in bytes
+ * @returns {string} - Truncated string
+ */
+const truncateBytes = (value, maxBytes) => {
+  let result = '';
+  let length = 0;
+  for (const char of value) {
+    length += byteLength(char);
+    if (length > maxBytes) break;
+    result += char;
+  }
+  return result;
+};
+
+/**
+ * Shortens a name to a byte limit, keeping its extension
+ * @param {string} name - The name to shorten
+ * @param {number} maxBytes - Maximum length in bytes
+ * @param {string} suffix - Text appended to the shortened stem to keep it unique
+ * @returns {string} - Shortened name
+ */
+export const shortenName = (name, maxBytes, suffix = '') => {
+  if (byteLength(name) <= maxBytes) {
+    return name;
+  }
+  const match = name.match(/^(.+?)(\.[A-Za-z0-9]{1,16})$/);
+  const [stem, extension] = match ? [match[1], match[2]] : [name, ''];
+  const room = Math.max(1, maxBytes - byteLength(extension) - byteLength(suffix));
+  return `${truncateBytes(stem, room)}${suffix}${extension}`;
+};
+
+/**
+ * Rewrites a single path component so that it is valid for a profile
+ * @param {string} name - The path component
+ * @param {Object} profile - Portability profile
+ * @returns {string} - Portable name
+ */
+export const makePortableName = (name, profile) => {
+  let result = name.split('').map(char => (profile.isInvalidCharacter(char) ? '_' : char)).join('');
+
+  if (profile.trimTrailing) {
+    result = result.replace(/[. ]+$/, '');
+  }
+  if (profile.noLeadingHyphen) {
+    result = result.replace(/^-/, '_');
+  }
+  if (result.length === 0) {
+    result = '_';
+  }
+
+  const stem = result.split('.')[0].toUpperCase();
+  if (profile.reservedNames.includes(stem)) {
+    result = `_${result}`;
+  }
+
+  return shortenName(result, profile.maxComponentLength);
+};
+
+/**
+ * Gets the key used to compare paths for collisions under a profile
+ * @param {string} path - The path
+ * @param {Object} profile - Portability profile
+ * @returns {string} - Comparison key
+ */
+export const getComparisonKey = (path, profile) => {
+  const normalized = path.normalize('NFC');
+  return profile.caseInsensitive ? normalized.toLowerCase() : normalized;
+};
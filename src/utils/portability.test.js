@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { byteLength, getComparisonKey, getPortabilityProfile, makePortableName, shortenName } from './portability';
+
+const windows = getPortabilityProfile('windows');
+const portable = getPortabilityProfile('portable');
+
+describe('makePortableName', () => {
+  it('replaces characters the profile does not allow', () => {
+    expect(makePortableName('a:b\u0001?.txt', windows)).toBe('a_b__.txt');
+    expect(makePortableName('a:b', getPortabilityProfile('posix'))).toBe('a:b');
+    expect(makePortableName('café ok', portable)).toBe('caf__ok');
+  });
+
+  it('prefixes reserved names whatever their extension', () => {
+    expect(makePortableName('con', windows)).toBe('_con');
+    expect(makePortableName('LPT1.json', windows)).toBe('_LPT1.json');
+    expect(makePortableName('console', windows)).toBe('console');
+  });
+
+  it('trims trailing dots and spaces and leading hyphens where required', () => {
+    expect(makePortableName('name. .', windows)).toBe('name');
+    expect(makePortableName('...', windows)).toBe('_');
+    expect(makePortableName('-rf', portable)).toBe('_rf');
+  });
+});
+
+describe('shortenName', () => {
+  it('cuts the stem to the byte limit and keeps the extension', () => {
+    const name = shortenName(`${'é'.repeat(200)}.json`, 255, '_1');
+    expect(byteLength(name)).toBeLessThanOrEqual(255);
+    expect(name.endsWith('é_1.json')).toBe(true);
+  });
+});
+
+describe('getComparisonKey', () => {
+  it('compares case-insensitively and in NFC on case-insensitive profiles', () => {
+    expect(getComparisonKey('Café', windows)).toBe(getComparisonKey('CAFÉ', windows));
+    expect(getComparisonKey('A', getPortabilityProfile('posix'))).toBe('A');
+  });
+
+  it('rejects unknown profiles', () => {
+    expect(() => getPortabilityProfile('dos')).toThrow('Unknown portability profile: dos');
+  });
+});
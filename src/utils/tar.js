@@ -0,0 +1,208 @@
+/**
+ * Minimal POSIX tar writer (ustar headers with PAX extended headers for
+ * paths that do not fit and for sizes over 8 GiB).
+ */
+
+import { byteLength } from './portability';
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_BYTES = 100;
+const MAX_PREFIX_BYTES = 155;
+const MAX_OCTAL_SIZE = 0o77777777777;
+const PORTABLE_NAME = /^[ -~]*$/;
+const encoder = new TextEncoder();
+
+/**
+ * Default permissions for archive entries
+ */
+export const TAR_MODES = {
+  file: 0o644,
+  executable: 0o755,
+  directory: 0o755
+};
+
+/**
+ * Number of padding bytes needed to fill the last block of an entry
+ * @param {number} size - Entry size in bytes
+ * @returns {number} - Padding in bytes
+ */
+const getPadding = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+/**
+ * Converts file content to bytes
+ * @param {string|Uint8Array} content - The file content
+ * @returns {Uint8Array} - UTF-8 bytes for strings
+ */
+const toBytes = (content) => (content instanceof Uint8Array ? content : encoder.encode(String(content)));
+
+/**
+ * Checks whether content starts with a `#!` line
+ * @param {string|Uint8Array} content - The file content
+ * @returns {boolean} - True for scripts
+ */
+const hasShebang = (content) => (content instanceof Uint8Array
+  ? content[0] === 0x23 && content[1] === 0x21
+  : String(content).startsWith('#!'));
+
+const writeString = (block, offset, length, value) => {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+};
+
+const writeOctal = (block, offset, length, value) => {
+  writeString(block, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+};
+
+/**
+ * Splits a path into the ustar name and prefix fields
+ * @param {string} path - Entry path
+ * @returns {Object|null} - { name, prefix }, or null if a PAX header is needed
+ */
+const splitUstarPath = (path) => {
+  if (!PORTABLE_NAME.test(path)) return null;
+  if (path.length <= MAX_NAME_BYTES) return { name: path, prefix: '' };
+
+  for (let i = path.indexOf('/'); i !== -1; i = path.indexOf('/', i + 1)) {
+    const prefix = path.slice(0, i);
+    const name = path.slice(i + 1);
+    if (prefix.length <= MAX_PREFIX_BYTES && name.length > 0 && name.length <= MAX_NAME_BYTES) {
+      return { name, prefix };
+    }
+  }
+  return null;
+};
+
+/**
+ * Formats a PAX record, whose length field counts its own digits
+ * @param {string} key - Record keyword
+ * @param {string} value - Record value
+ * @returns {string} - "<length> <key>=<value>\n"
+ */
+const formatPaxRecord = (key, value) => {
+  const base = byteLength(` ${key}=${value}\n`);
+  let length = base + String(base).length;
+  if (String(length).length !== String(base).length) {
+    length = base + String(length).length;
+  }
+  return `${length} ${key}=${value}\n`;
+};
+
+/**
+ * Builds a 512 byte ustar header
+ * @param {Object} fields - { name, prefix, mode, size, mtime, type }
+ * @returns {Uint8Array} - The header block
+ */
+const createHeader = ({ name, prefix = '', mode, size, mtime, type }) => {
+  const block = new Uint8Array(BLOCK_SIZE);
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, Math.min(size, MAX_OCTAL_SIZE));
+  writeOctal(block, 136, 12, mtime);
+  // The checksum is computed with its own field filled with spaces
+  block.fill(0x20, 148, 156);
+  writeString(block, 156, 1, type);
+  writeString(block, 257, 6, 'ustar\0');
+  writeString(block, 263, 2, '00');
+  writeString(block, 345, 155, prefix);
+
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  writeString(block, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return block;
+};
+
+/**
+ * Builds the header blocks for one entry, preceded by a PAX header when the
+ * path or size does not fit the ustar fields
+ * @param {Object} entry - { path, mode, size, type }
+ * @param {number} mtime - Modification time in seconds
+ * @returns {Array<Uint8Array>} - Header blocks and PAX data
+ */
+const createEntryHeaders = ({ path, mode, size, type }, mtime) => {
+  const split = splitUstarPath(path);
+  const records = [];
+  if (!split) records.push(formatPaxRecord('path', path));
+  if (size > MAX_OCTAL_SIZE) records.push(formatPaxRecord('size', String(size)));
+
+  const fallbackName = path.replace(/[^ -~]/g, '_').slice(-MAX_NAME_BYTES);
+  const header = createHeader({ ...(split || { name: fallbackName }), mode, size, mtime, type });
+  if (records.length === 0) return [header];
+
+  const pax = encoder.encode(records.join(''));
+  const paxName = `PaxHeader/${fallbackName.split('/').pop()}`.slice(0, MAX_NAME_BYTES);
+  return [
+    createHeader({ name: paxName, mode: TAR_MODES.file, size: pax.length, mtime, type: 'x' }),
+    pax,
+    new Uint8Array(getPadding(pax.length)),
+    header
+  ];
+};
+
+/**
+ * Lists the entries of a tar archive for a file map, each folder before its contents
+ * @param {Object} files - Map of path to content
+ * @returns {Array<Object>} - { path, type, mode, size, content }
+ */
+const listEntries = (files) => {
+  const folders = new Set();
+  const entries = [];
+
+  Object.entries(files).forEach(([path, content]) => {
+    const segments = path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const folder = `${segments.slice(0, i).join('/')}/`;
+      if (!folders.has(folder)) {
+        folders.add(folder);
+        entries.push({ path: folder, type: '5', mode: TAR_MODES.directory, size: 0 });
+      }
+    }
+    entries.push({
+      path,
+      type: '0',
+      mode: hasShebang(content) ? TAR_MODES.executable : TAR_MODES.file,
+      size: content instanceof Uint8Array ? content.length : byteLength(String(content)),
+      content
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Gets the exact size of the tar archive for a file map
+ * @param {Object} files - Map of path to content
+ * @returns {number} - Size in bytes
+ */
+export const getTarSize = (files) => {
+  return listEntries(files).reduce((total, entry) => {
+    const headers = createEntryHeaders(entry, 0).reduce((sum, block) => sum + block.length, 0);
+    return total + headers + entry.size + getPadding(entry.size);
+  }, 2 * BLOCK_SIZE);
+};
+
+/**
+ * Generates the blocks of a tar archive
+ * @param {Object} files - Map of path to content
+ * @param {Object} options - { mtime, onUpdate({ percent, currentFile }) }
+ * @yields {Uint8Array} - Archive data in order
+ */
+export function* generateTar(files, { mtime = Math.floor(Date.now() / 1000), onUpdate = () => {} } = {}) {
+  const entries = listEntries(files);
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let written = 0;
+
+  for (const entry of entries) {
+    onUpdate({ percent: totalSize ? (written / totalSize) * 100 : 0, currentFile: entry.path });
+    yield* createEntryHeaders(entry, mtime);
+
+    if (entry.size > 0) {
+      yield toBytes(entry.content);
+      const padding = getPadding(entry.size);
+      if (padding > 0) yield new Uint8Array(padding);
+    }
+    written += entry.size;
+  }
+
+  onUpdate({ percent: 100, currentFile: null });
+  yield new Uint8Array(2 * BLOCK_SIZE);
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { generateTar, getTarSize } from './tar';
+
+const decoder = new TextDecoder();
+
+const concat = (chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+const readString = (block, offset, length) => decoder.decode(block.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+const readOctal = (block, offset, length) => parseInt(readString(block, offset, length), 8);
+
+// Reads the entries of a tar archive, applying PAX path records to the entry that follows
+const readTar = (bytes) => {
+  const entries = [];
+  let pax = {};
+  for (let offset = 0; offset < bytes.length; ) {
+    const block = bytes.subarray(offset, offset + 512);
+    if (block.every(byte => byte === 0)) break;
+
+    const size = readOctal(block, 124, 12);
+    const type = readString(block, 156, 1);
+    const data = bytes.subarray(offset + 512, offset + 512 + size);
+    const stored = block.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+    expect(readOctal(block, 148, 8)).toBe(stored);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      pax = Object.fromEntries(decoder.decode(data).trim().split('\n').map(record => record.replace(/^\d+ /, '').split('=')));
+      continue;
+    }
+    const prefix = readString(block, 345, 155);
+    const name = readString(block, 0, 100);
+    entries.push({
+      path: pax.path || (prefix ? `${prefix}/${name}` : name),
+      type,
+      mode: readOctal(block, 100, 8),
+      content: decoder.decode(data)
+    });
+    pax = {};
+  }
+  return entries;
+};
+
+describe('generateTar', () => {
+  it('writes folders before their files with permissions for scripts', () => {
+    const files = { 'a/b/run.sh': '#!/bin/sh\necho hi\n', 'a/c.json': '{}' };
+    const entries = readTar(concat([...generateTar(files, { mtime: 0 })]));
+
+    expect(entries).toEqual([
+      { path: 'a/', type: '5', mode: 0o755, content: '' },
+      { path: 'a/b/', type: '5', mode: 0o755, content: '' },
+      { path: 'a/b/run.sh', type: '0', mode: 0o755, content: files['a/b/run.sh'] },
+      { path: 'a/c.json', type: '0', mode: 0o644, content: '{}' }
+    ]);
+  });
+
+  it('splits long paths into prefix and name and uses PAX headers when they do not fit', () => {
+    const split = `${'d'.repeat(120)}/file.txt`;
+    const long = `${'e'.repeat(200)}.txt`;
+    const unicode = 'café.txt';
+    const paths = readTar(concat([...generateTar({ [split]: 'x', [long]: 'y', [unicode]: 'z' })]))
+      .filter(({ type }) => type === '0')
+      .map(({ path }) => path);
+
+    expect(paths).toEqual([split, long, unicode]);
+  });
+
+  it('reports progress per file and matches getTarSize', () => {
+    const files = { 'a.txt': 'x'.repeat(700), 'b.bin': new Uint8Array(3) };
+    const updates = [];
+    const bytes = concat([...generateTar(files, { onUpdate: update => updates.push(update) })]);
+
+    expect(bytes.length).toBe(getTarSize(files));
+    expect(bytes.length % 512).toBe(0);
+    expect(updates.map(({ currentFile }) => currentFile)).toEqual(['a.txt', 'b.bin', null]);
+    expect(updates[updates.length - 1].percent).toBe(100);
+  });
+});
@@ -0,0 +1,444 @@
+/**
+ * TOML 1.0 parser. Tables become objects, arrays of tables become arrays, and
+ * dates and times become TOMLDateTime values so they stay distinguishable
+ * from strings.
+ */
+
+/**
+ * A TOML offset date-time, local date-time, local date or local time. It is a
+ * Date for comparisons and arithmetic; local values are read as UTC. String
+ * and JSON conversions give the value as written, e.g. "1979-05-27" for a
+ * local date.
+ */
+export class TOMLDateTime extends Date {
+  /**
+   * @param {string} text - RFC 3339 text with a "T" separator
+   * @param {string} kind - 'offset-date-time', 'local-date-time', 'local-date' or 'local-time'
+   */
+  constructor(text, kind) {
+    const iso = {
+      'local-date': `${text}T00:00:00Z`,
+      'local-time': `1970-01-01T${text}Z`,
+      'local-date-time': `${text}Z`
+    }[kind] || text;
+    super(iso);
+    this.text = text;
+    this.kind = kind;
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  toJSON() {
+    return this.text;
+  }
+}
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+const DATE_TIME = /(\d{4}-\d{2}-\d{2})(?:[Tt ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)([Zz]|[+-]\d{2}:\d{2})?)?/y;
+const LOCAL_TIME = /\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+const FLOAT = /[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?/y;
+const SPECIAL_FLOAT = /([+-])?(inf|nan)/y;
+const PREFIXED_INTEGER = /0(?:x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*|o[0-7](?:_?[0-7])*|b[01](?:_?[01])*)/y;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+/**
+ * Checks the ranges of date and time parts. Date would accept February 30
+ * and roll it over into March.
+ * @param {string} date - "YYYY-MM-DD", or empty
+ * @param {string} time - "HH:MM:SS" with optional fraction, or empty
+ * @returns {boolean} - True if every part is in range
+ */
+const isValidDateTime = (date, time) => {
+  if (date) {
+    const [year, month, day] = date.split('-').map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) {
+      return false;
+    }
+  }
+  if (time) {
+    const [hour, minute, second] = time.split(':').map(Number);
+    // 60 is a leap second
+    if (hour > 23 || minute > 59 || second >= 61) return false;
+  }
+  return true;
+};
+
+/**
+ * Parses a TOML document
+ * @param {string} text - TOML text
+ * @returns {Object} - The root table
+ * @throws {SyntaxError} - With the line and column of the problem
+ */
+export const parseTOML = (text) => {
+  const root = {};
+  // Tables opened with a [header], tables created by dotted keys, values that
+  // cannot be extended (inline tables and literal arrays) and [[arrays]]
+  const headerTables = new WeakSet();
+  const dottedTables = new WeakSet();
+  const frozen = new WeakSet();
+  const tableArrays = new WeakSet();
+  let position = 0;
+  let current = root;
+
+  const fail = (message, at = position) => {
+    const before = text.slice(0, at);
+    const line = before.split('\n').length;
+    throw new SyntaxError(`${message} at line ${line}, column ${at - before.lastIndexOf('\n')}`);
+  };
+
+  const isTable = (value) => value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof TOMLDateTime);
+
+  const matchSticky = (pattern) => {
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (match) position = pattern.lastIndex;
+    return match;
+  };
+
+  const skipSpaces = () => {
+    while (text[position] === ' ' || text[position] === '\t') position++;
+  };
+
+  const skipComment = () => {
+    if (text[position] !== '#') return;
+    while (position < text.length && text[position] !== '\n') position++;
+  };
+
+  // Whitespace, newlines and comments, as allowed between array elements
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (text[position] === '\n') {
+        position++;
+      } else if (text[position] === '\r' && text[position + 1] === '\n') {
+        position += 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const expectLineEnd = () => {
+    skipSpaces();
+    skipComment();
+    if (position >= text.length) return;
+    if (text[position] === '\n') {
+      position++;
+    } else if (text[position] === '\r' && text[position + 1] === '\n') {
+      position += 2;
+    } else {
+      fail(`Expected the end of the line but found "${text[position]}"`);
+    }
+  };
+
+  const readEscape = () => {
+    const char = text[position + 1];
+    if (ESCAPES[char] !== undefined) {
+      position += 2;
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = text.slice(position + 2, position + 2 + length);
+      const codePoint = parseInt(hex, 16);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length || codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+        fail('Invalid unicode escape');
+      }
+      position += 2 + length;
+      return String.fromCodePoint(codePoint);
+    }
+    return fail(`Invalid escape "\\${char}"`);
+  };
+
+  const readString = () => {
+    const quote = text[position];
+    const multiline = text.startsWith(quote.repeat(3), position);
+    const literal = quote === "'";
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    const start = position;
+    position += delimiter.length;
+
+    // A newline right after the opening delimiter is not part of the string
+    if (multiline) {
+      if (text[position] === '\n') position++;
+      else if (text.startsWith('\r\n', position)) position += 2;
+    }
+
+    let value = '';
+    for (;;) {
+      if (position >= text.length) fail('Unterminated string', start);
+      const char = text[position];
+
+      if (text.startsWith(delimiter, position)) {
+        position += delimiter.length;
+        // Up to two quotes next to the closing delimiter belong to the string
+        if (multiline) {
+          for (let extra = 0; extra < 2 && text[position] === quote; extra++) {
+            value += quote;
+            position++;
+          }
+        }
+        return value;
+      }
+
+      if (!multiline && (char === '\n' || char === '\r')) {
+        fail('Newline in a single-line string');
+      }
+
+      if (char === '\\' && !literal) {
+        // A backslash at the end of a line trims the newline and following whitespace
+        if (multiline && /^\\[ \t]*\r?\n/.test(text.slice(position, position + 64))) {
+          position++;
+          while (/[ \t\r\n]/.test(text[position] || '')) position++;
+        } else {
+          value += readEscape();
+        }
+        continue;
+      }
+
+      value += char;
+      position++;
+    }
+  };
+
+  const readSimpleKey = () => {
+    const char = text[position];
+    if (char === '"' || char === "'") {
+      if (text.startsWith(char.repeat(3), position)) fail('Multi-line strings cannot be keys');
+      return readString();
+    }
+    const match = matchSticky(BARE_KEY);
+    if (!match) fail(char === undefined ? 'Expected a key' : `Expected a key but found "${char}"`);
+    return match[0];
+  };
+
+  const readKey = () => {
+    const parts = [readSimpleKey()];
+    skipSpaces();
+    while (text[position] === '.') {
+      position++;
+      skipSpaces();
+      parts.push(readSimpleKey());
+      skipSpaces();
+    }
+    return parts;
+  };
+
+  const readNumberOrDate = () => {
+    const start = position;
+
+    const dateTime = matchSticky(DATE_TIME);
+    if (dateTime) {
+      const [, date, time, offset] = dateTime;
+      if (!isValidDateTime(date, time)) fail(`Invalid date "${text.slice(start, position)}"`, start);
+      if (!time) return new TOMLDateTime(date, 'local-date');
+      const normalized = `${date}T${time}${offset ? offset.toUpperCase() : ''}`;
+      return new TOMLDateTime(normalized, offset ? 'offset-date-time' : 'local-date-time');
+    }
+
+    const time = matchSticky(LOCAL_TIME);
+    if (time) {
+      if (!isValidDateTime('', time[0])) fail(`Invalid time "${time[0]}"`, start);
+      return new TOMLDateTime(time[0], 'local-time');
+    }
+
+    const special = matchSticky(SPECIAL_FLOAT);
+    if (special) {
+      if (special[2] === 'nan') return NaN;
+      return special[1] === '-' ? -Infinity : Infinity;
+    }
+
+    const prefixed = matchSticky(PREFIXED_INTEGER);
+    if (prefixed) return Number(prefixed[0].replace(/_/g, ''));
+
+    const number = matchSticky(FLOAT);
+    if (number) return Number(number[0].replace(/_/g, ''));
+
+    position = start;
+    return fail(`Invalid value "${text.slice(start).split(/[\s,\]}#]/)[0]}"`);
+  };
+
+  const readArray = () => {
+    const array = [];
+    position++;
+    for (;;) {
+      skipBlank();
+      if (text[position] === ']') {
+        position++;
+        frozen.add(array);
+        return array;
+      }
+      array.push(readValue());
+      skipBlank();
+      if (text[position] === ',') {
+        position++;
+      } else if (text[position] !== ']') {
+        fail('Expected "," or "]" in array');
+      }
+    }
+  };
+
+  const readInlineTable = () => {
+    const table = {};
+    position++;
+    skipSpaces();
+    if (text[position] === '}') {
+      position++;
+      frozen.add(table);
+      return table;
+    }
+
+    for (;;) {
+      skipSpaces();
+      const keyStart = position;
+      const key = readKey();
+      if (text[position] !== '=') fail('Expected "=" after the key');
+      position++;
+      skipSpaces();
+      assign(table, key, readValue(), keyStart);
+      skipSpaces();
+
+      if (text[position] === '}') {
+        position++;
+        frozen.add(table);
+        return table;
+      }
+      if (text[position] !== ',') fail('Expected "," or "}" in inline table');
+      position++;
+    }
+  };
+
+  const readValue = () => {
+    const char = text[position];
+    if (char === '"' || char === "'") return readString();
+    if (char === '[') return readArray();
+    if (char === '{') return readInlineTable();
+    if (text.startsWith('true', position)) {
+      position += 4;
+      return true;
+    }
+    if (text.startsWith('false', position)) {
+      position += 5;
+      return false;
+    }
+    if (char === undefined || char === '\n' || char === '\r' || char === '#') fail('Expected a value');
+    return readNumberOrDate();
+  };
+
+  // Sets a dotted key inside a table, creating the intermediate tables
+  const assign = (table, key, value, at) => {
+    let target = table;
+    key.slice(0, -1).forEach(part => {
+      if (!Object.prototype.hasOwnProperty.call(target, part)) {
+        const child = {};
+        dottedTables.add(child);
+        defineKey(target, part, child);
+        target = child;
+        return;
+      }
+      const existing = target[part];
+      if (!isTable(existing) || frozen.has(existing) || headerTables.has(existing)) {
+        fail(`Cannot add keys to "${key.join('.')}"`, at);
+      }
+      target = existing;
+    });
+
+    const name = key[key.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, name)) {
+      fail(`Duplicate key "${key.join('.')}"`, at);
+    }
+    defineKey(target, name, value);
+  };
+
+  const defineKey = (target, name, value) => {
+    Object.defineProperty(target, name, { value, enumerable: true, configurable: true, writable: true });
+  };
+
+  // Walks a header path, entering the last table of arrays of tables
+  const walkHeader = (key, at) => {
+    let target = root;
+    key.slice(0, -1).forEach(part => {
+      if (!Object.prototype.hasOwnProperty.call(target, part)) {
+        const child = {};
+        defineKey(target, part, child);
+        target = child;
+        return;
+      }
+      let existing = target[part];
+      if (Array.isArray(existing) && tableArrays.has(existing)) {
+        existing = existing[existing.length - 1];
+      }
+      if (!isTable(existing) || frozen.has(existing)) {
+        fail(`Cannot define a table inside "${part}"`, at);
+      }
+      target = existing;
+    });
+    return target;
+  };
+
+  const readHeader = () => {
+    const at = position;
+    const isArray = text.startsWith('[[', position);
+    position += isArray ? 2 : 1;
+    skipSpaces();
+    const key = readKey();
+    if (!text.startsWith(isArray ? ']]' : ']', position)) {
+      fail(`Expected "${isArray ? ']]' : ']'}" after the table name`);
+    }
+    position += isArray ? 2 : 1;
+
+    const parent = walkHeader(key, at);
+    const name = key[key.length - 1];
+    const exists = Object.prototype.hasOwnProperty.call(parent, name);
+    const existing = parent[name];
+
+    if (isArray) {
+      if (!exists) {
+        const array = [];
+        tableArrays.add(array);
+        defineKey(parent, name, array);
+      } else if (!Array.isArray(existing) || !tableArrays.has(existing)) {
+        fail(`"${key.join('.')}" is not an array of tables`, at);
+      }
+      const table = {};
+      parent[name].push(table);
+      return table;
+    }
+
+    if (!exists) {
+      const table = {};
+      headerTables.add(table);
+      defineKey(parent, name, table);
+      return table;
+    }
+    if (!isTable(existing) || headerTables.has(existing) || dottedTables.has(existing) || frozen.has(existing)) {
+      fail(`Table "${key.join('.')}" is defined more than once`, at);
+    }
+    headerTables.add(existing);
+    return existing;
+  };
+
+  while (position < text.length) {
+    skipBlank();
+    if (position >= text.length) break;
+
+    if (text[position] === '[') {
+      current = readHeader();
+    } else {
+      const keyStart = position;
+      const key = readKey();
+      if (text[position] !== '=') fail('Expected "=" after the key');
+      position++;
+      skipSpaces();
+      assign(current, key, readValue(), keyStart);
+    }
+    expectLineEnd();
+  }
+
+  return root;
+};
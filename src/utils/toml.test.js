@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { TOMLDateTime, parseTOML } from './toml';
+
+describe('parseTOML', () => {
+  it('parses tables, dotted keys and inline tables', () => {
+    const text = [
+      'title = "demo"',
+      'site."google.com" = true',
+      '',
+      '[package]',
+      'name = "app"',
+      'authors = ["a", "b"]',
+      'point = { x = 1, y = 2 }',
+      '',
+      '[package.metadata]',
+      'ok = false'
+    ].join('\n');
+
+    expect(parseTOML(text)).toEqual({
+      title: 'demo',
+      site: { 'google.com': true },
+      package: {
+        name: 'app',
+        authors: ['a', 'b'],
+        point: { x: 1, y: 2 },
+        metadata: { ok: false }
+      }
+    });
+  });
+
+  it('parses arrays of tables', () => {
+    expect(parseTOML('[[bin]]\nname = "a"\n\n[[bin]]\nname = "b"\n')).toEqual({ bin: [{ name: 'a' }, { name: 'b' }] });
+  });
+
+  it('parses every kind of string and number', () => {
+    const text = [
+      'basic = "tab\\tquote\\" \\u00e9"',
+      "literal = 'C:\\path'",
+      'multi = """\nline one \\\n   line two"""',
+      "raw = '''\nkeep \\n'''",
+      'hex = 0xff',
+      'octal = 0o17',
+      'binary = 0b101',
+      'under = 1_000',
+      'float = 6.626e-34',
+      'inf = -inf'
+    ].join('\n');
+
+    expect(parseTOML(text)).toEqual({
+      basic: 'tab\tquote" é',
+      literal: 'C:\\path',
+      multi: 'line one line two',
+      raw: 'keep \\n',
+      hex: 255,
+      octal: 15,
+      binary: 5,
+      under: 1000,
+      float: 6.626e-34,
+      inf: -Infinity
+    });
+  });
+
+  it('keeps dates and times typed with their original text', () => {
+    const { odt, ld, lt } = parseTOML('odt = 1979-05-27T07:32:00Z\nld = 1979-05-27\nlt = 07:32:00\n');
+
+    expect(odt).toBeInstanceOf(TOMLDateTime);
+    expect(odt.kind).toBe('offset-date-time');
+    expect(odt.getTime()).toBe(Date.UTC(1979, 4, 27, 7, 32));
+    expect(ld.kind).toBe('local-date');
+    expect(lt.kind).toBe('local-time');
+    expect(JSON.stringify({ ld, lt })).toBe('{"ld":"1979-05-27","lt":"07:32:00"}');
+  });
+
+  it('rejects invalid documents with a line and column', () => {
+    expect(() => parseTOML('a = 1\na = 2')).toThrow(/at line 2, column \d+/);
+    expect(() => parseTOML('a = \n')).toThrow(SyntaxError);
+    expect(() => parseTOML('d = 2023-02-30')).toThrow(SyntaxError);
+    expect(() => parseTOML('[a]\n[a]')).toThrow(SyntaxError);
+  });
+});
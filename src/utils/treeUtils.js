@@ -303,4 +303,56 @@ export function createTreeFromPaths(paths, defaultContent = '') {
   });
 
   return tree;
-}
\ No newline at end of file
+}
+
+/**
+ * Lists the rows shown for a hierarchical node tree ({ path, children } nodes),
+ * descending only into expanded folders. Uses an explicit stack so deep trees
+ * cannot overflow the call stack.
+ * @param {Array} nodes - Root nodes
+ * @param {Set} expandedPaths - Paths of expanded folders
+ * @returns {Array} Rows in display order as { node, depth }
+ */
+export function flattenVisibleNodes(nodes, expandedPaths) {
+  const rows = [];
+  const stack = [];
+
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    stack.push({ node: nodes[i], depth: 0 });
+  }
+
+  while (stack.length > 0) {
+    const row = stack.pop();
+    rows.push(row);
+
+    const { children } = row.node;
+    if (children && children.length > 0 && expandedPaths.has(row.node.path)) {
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push({ node: children[i], depth: row.depth + 1 });
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Collects the paths of every folder with children in a hierarchical node tree
+ * @param {Array} nodes - Root nodes
+ * @returns {Set} Folder paths
+ */
+export function collectFolderPaths(nodes) {
+  const paths = new Set();
+  const stack = [...nodes];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.children && node.children.length > 0) {
+      paths.add(node.path);
+      // One push per child: spreading a very large folder overflows the argument limit
+      node.children.forEach(child => stack.push(child));
+    }
+  }
+
+  return paths;
+}
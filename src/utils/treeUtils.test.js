@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { collectFolderPaths, flattenVisibleNodes } from './treeUtils';
+
+const file = (path) => ({ name: path.split('/').pop(), path, type: 'file' });
+const folder = (path, children) => ({ name: path.split('/').pop(), path, type: 'folder', children });
+
+const nodes = [
+  folder('a', [folder('a/b', [file('a/b/c.json')]), file('a/d.json')]),
+  folder('e', []),
+  file('f.json')
+];
+
+describe('flattenVisibleNodes', () => {
+  it('lists roots and the children of expanded folders in display order', () => {
+    const rows = flattenVisibleNodes(nodes, new Set(['a', 'a/b']));
+    expect(rows.map(({ node, depth }) => [node.path, depth])).toEqual([
+      ['a', 0],
+      ['a/b', 1],
+      ['a/b/c.json', 2],
+      ['a/d.json', 1],
+      ['e', 0],
+      ['f.json', 0]
+    ]);
+  });
+
+  it('skips the children of collapsed folders', () => {
+    const rows = flattenVisibleNodes(nodes, new Set(['a/b']));
+    expect(rows.map(({ node }) => node.path)).toEqual(['a', 'e', 'f.json']);
+  });
+
+  it('handles trees deeper than the call stack', () => {
+    let root = file('leaf');
+    const expanded = new Set();
+    for (let depth = 0; depth < 20000; depth++) {
+      root = folder(`d${depth}`, [root]);
+      expanded.add(root.path);
+    }
+    expect(flattenVisibleNodes([root], expanded)).toHaveLength(20001);
+  });
+});
+
+describe('collectFolderPaths', () => {
+  it('collects every folder that has children', () => {
+    expect([...collectFolderPaths(nodes)].sort()).toEqual(['a', 'a/b']);
+  });
+});
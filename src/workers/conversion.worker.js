@@ -0,0 +1,51 @@
+/**
+ * Web Worker that runs conversion tasks off the main thread.
+ * Messages in: { id, type, payload } or { id, type: 'cancel' }. Messages out:
+ * { id, type: 'progress', progress }, { id, type: 'result', result } or
+ * { id, type: 'error', error }. Cancellation is mostly done by terminating the
+ * worker; tasks writing to a file are sent 'cancel' instead, see conversionClient.
+ */
+
+import { createAbortError, runConversionTask } from '../utils/conversionTasks';
+
+// JSZip reports progress for every chunk; forward at most one update per interval
+const PROGRESS_INTERVAL_MS = 100;
+
+// Tasks the client asked to stop, checked by throwIfCancelled
+const cancelled = new Set();
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  if (type === 'cancel') {
+    cancelled.add(id);
+    return;
+  }
+
+  let lastPhase = null;
+  let lastPostedAt = 0;
+
+  const context = {
+    onProgress: (progress) => {
+      const now = Date.now();
+      if (progress.phase === lastPhase && now - lastPostedAt < PROGRESS_INTERVAL_MS) return;
+      lastPhase = progress.phase;
+      lastPostedAt = now;
+      self.postMessage({ id, type: 'progress', progress });
+    },
+    throwIfCancelled: () => {
+      if (cancelled.has(id)) throw createAbortError();
+    }
+  };
+
+  try {
+    const result = await runConversionTask(type, payload, context);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      error: { name: error.name, message: error.message, issues: error.issues }
+    });
+  } finally {
+    cancelled.delete(id);
+  }
+};